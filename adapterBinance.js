@@ -0,0 +1,220 @@
+import restRequest from "./restHelper.js";
+
+const WS_URL = "wss://stream.binance.com:9443/stream";
+const REST_URL = "https://api.binance.com/api/v3";
+
+// Binance allows 5 control messages per second per connection, so the
+// subscriptions are batched into a few large SUBSCRIBE frames.
+const STREAMS_PER_FRAME = 200;
+
+const STREAM_TYPES = new Set(["aggtrade", "ticker", "bookticker", "depth5@100ms", "depth@100ms"]);
+
+let requestId = 0;
+
+function mapChannelToTopic(ch) {
+    const at = ch.indexOf("@");
+
+    if (at === -1) {
+        return null;
+    }
+
+    const stream = ch.slice(at + 1);
+
+    if (!STREAM_TYPES.has(stream.toLowerCase())) {
+        return null;
+    }
+
+    return {
+        key: ch,
+        stream: `${ch.slice(0, at).toLowerCase()}@${stream}`
+    };
+}
+
+function translate(msg) {
+    const out = [];
+
+    if (!msg || !msg.stream || !msg.data) {
+        return out;
+    }
+
+    const d = msg.data;
+    const at = msg.stream.indexOf("@");
+
+    if (at === -1) {
+        return out;
+    }
+
+    const symbolLc = msg.stream.slice(0, at);
+    const streamType = msg.stream.slice(at + 1);
+
+    switch (streamType) {
+        case "aggTrade":
+            out.push({
+                stream: `${symbolLc}@aggTrade`,
+                data: {
+                    a: Number(d.a),
+                    p: d.p,
+                    q: d.q,
+                    E: Number(d.T || d.E),
+                    m: d.m
+                }
+            });
+            break;
+
+        case "ticker":
+            out.push({
+                stream: `${symbolLc}@ticker`,
+                data: {
+                    q: d.q,
+                    P: (parseFloat(d.P) || 0).toFixed(4),
+                    h: d.h,
+                    l: d.l,
+                    c: d.c
+                }
+            });
+            break;
+
+        case "bookTicker":
+            out.push({
+                stream: `${symbolLc}@bookTicker`,
+                data: {
+                    b: d.b,
+                    a: d.a
+                }
+            });
+            break;
+
+        case "depth5@100ms":
+            out.push({
+                stream: `${symbolLc}@depth5@100ms`,
+                data: {
+                    bids: (d.bids || []).slice(0, 5),
+                    asks: (d.asks || []).slice(0, 5)
+                }
+            });
+            break;
+
+        case "depth@100ms":
+            out.push({
+                stream: `${symbolLc}@depth@100ms`,
+                data: {
+                    U: Number(d.U),
+                    u: Number(d.u),
+                    b: d.b || [],
+                    a: d.a || [],
+                    E: Number(d.E)
+                }
+            });
+            break;
+    }
+
+    return out;
+}
+
+function buildFrames(topics, method) {
+    const frames = [];
+
+    for (let i = 0; i < topics.length; i += STREAMS_PER_FRAME) {
+        frames.push(JSON.stringify({
+            method,
+            params: topics.slice(i, i + STREAMS_PER_FRAME).map(t => t.stream),
+            id: ++requestId
+        }));
+    }
+
+    return frames;
+}
+
+function buildSubscribeFrames(topics) {
+    return buildFrames(topics, "SUBSCRIBE");
+}
+
+function buildUnsubscribeFrames(topics) {
+    return buildFrames(topics, "UNSUBSCRIBE");
+}
+
+// Binance pings from the server side; ws answers with pongs on its own.
+function buildPingFrame() {
+    return null;
+}
+
+async function fetchTradablePairs(quote) {
+    const { data } = await restRequest({
+        method: "get",
+        url: `${REST_URL}/exchangeInfo`,
+        params: {
+            permissions: "SPOT"
+        },
+        timeout: 10_000
+    });
+
+    return new Set(
+        data.symbols
+            .filter(s => s.quoteAsset === quote && s.status === "TRADING")
+            .map(s => s.symbol)
+    );
+}
+
+async function fetchOrderBook(pair, limit) {
+    const { data } = await restRequest({
+        method: "get",
+        url: `${REST_URL}/depth`,
+        params: {
+            symbol: pair,
+            limit
+        }
+    });
+
+    return {
+        lastUpdateId: Number(data.lastUpdateId),
+        bids: data.bids,
+        asks: data.asks
+    };
+}
+
+async function fetchServerTime() {
+    const { data } = await restRequest({
+        method: "get",
+        url: `${REST_URL}/time`,
+        timeout: 5_000
+    }, 0);
+
+    return Number(data.serverTime);
+}
+
+async function fetchTradesAfter(pair, afterId, limit) {
+    const { data } = await restRequest({
+        method: "get",
+        url: `${REST_URL}/aggTrades`,
+        params: {
+            symbol: pair,
+            fromId: afterId + 1,
+            limit
+        }
+    });
+
+    return data.map(t => ({
+        id: Number(t.a),
+        price: Number(t.p),
+        amount: Number(t.q),
+        tsMs: Number(t.T),
+        isSell: t.m
+    }));
+}
+
+export default {
+    id: "binance",
+    wsUrl: WS_URL,
+    maxTopicsPerWs: 1000,
+    pingIntervalMs: 0,
+    formatPair: (base, quote) => `${base}${quote}`,
+    mapChannelToTopic,
+    translate,
+    buildSubscribeFrames,
+    buildUnsubscribeFrames,
+    buildPingFrame,
+    fetchTradablePairs,
+    fetchOrderBook,
+    fetchTradesAfter,
+    fetchServerTime
+};
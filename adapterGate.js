@@ -0,0 +1,305 @@
+import restRequest from "./restHelper.js";
+
+const WS_URL = "wss://api.gateio.ws/ws/v4/";
+const REST_URL = "https://api.gateio.ws/api/v4";
+
+function mapChannelToTopic(ch) {
+    const at = ch.indexOf("@");
+
+    if (at === -1) {
+        return null;
+    }
+
+    const symbol = ch.slice(0, at).toUpperCase();
+    const stream = ch.slice(at + 1).toLowerCase();
+
+    switch (stream) {
+        case "aggtrade":
+            return {
+                key: ch,
+                channel: "spot.trades",
+                payload: [symbol]
+            };
+
+        case "ticker":
+            return {
+                key: ch,
+                channel: "spot.tickers",
+                payload: [symbol]
+            };
+
+        case "bookticker":
+            return {
+                key: ch,
+                channel: "spot.book_ticker",
+                payload: [symbol]
+            };
+
+        case "depth5@100ms":
+            return {
+                key: ch,
+                channel: "spot.order_book",
+                payload: [symbol, "5", "100ms"]
+            };
+
+        case "depth@100ms":
+            return {
+                key: ch,
+                channel: "spot.order_book_update",
+                payload: [symbol, "100ms"]
+            };
+
+        default: return null;
+    }
+}
+
+function translate(msg) {
+    const out = [];
+
+    if (!msg || msg.event !== "update" || !msg.channel) {
+        return out;
+    }
+
+    if (msg.channel === "spot.trades") {
+        const payload = msg.result;
+
+        if (!payload) {
+            return out;
+        }
+
+        const trades = Array.isArray(payload) ? payload : [payload];
+
+        for (const t of trades) {
+            const pair = t.currency_pair || t.s;
+
+            if (!pair) {
+                continue;
+            }
+
+            const symbolLc = pair.toLowerCase();
+
+            out.push({
+                stream: `${symbolLc}@aggTrade`,
+                data: {
+                    a: Number(t.id),
+                    p: t.price,
+                    q: t.amount,
+                    E: Number(t.create_time_ms || t.create_time * 1000),
+                    m: t.side === "sell"
+                }
+            });
+        }
+    }
+
+    else if (msg.channel === "spot.tickers") {
+        const d = msg.result;
+
+        if (!d) {
+            return out;
+        }
+
+        const pair = d.currency_pair || d.s;
+
+        if (!pair) {
+            return out;
+        }
+
+        const symbolLc = pair.toLowerCase();
+
+        out.push({
+            stream: `${symbolLc}@ticker`,
+            data: {
+                q: d.quote_volume,
+                P: (parseFloat(d.change_percentage) || 0).toFixed(4),
+                h: d.high_24h,
+                l: d.low_24h,
+                c: d.last
+            }
+        });
+    }
+
+    else if (msg.channel === "spot.book_ticker") {
+        const d = msg.result;
+
+        if (!d) {
+            return out;
+        }
+
+        const pair = d.currency_pair || d.s;
+
+        if (!pair) {
+            return out;
+        }
+
+        const symbolLc = pair.toLowerCase();
+
+        out.push({
+            stream: `${symbolLc}@bookTicker`,
+            data: {
+                b: d.highest_bid,
+                a: d.lowest_ask
+            }
+        });
+    }
+
+    else if (msg.channel === "spot.order_book") {
+        const d = msg.result;
+
+        if (!d) {
+            return out;
+        }
+
+        const pair = d.currency_pair || d.s;
+
+        if (!pair) {
+            return out;
+        }
+
+        const symbolLc = pair.toLowerCase();
+
+        out.push({
+            stream: `${symbolLc}@depth5@100ms`,
+            data: {
+                bids: (d.bids || []).slice(0, 5),
+                asks: (d.asks || []).slice(0, 5)
+            }
+        });
+
+        // A derived message names the topic it came from in `source`, so
+        // it does not count as a sign of life of the bookTicker topic.
+        if (d.bids?.length && d.asks?.length) {
+            out.push({
+                stream: `${symbolLc}@bookTicker`,
+                source: `${symbolLc}@depth5@100ms`,
+                data: {
+                    b: d.bids[0][0],
+                    a: d.asks[0][0]
+                }
+            });
+        }
+    }
+
+    else if (msg.channel === "spot.order_book_update") {
+        const d = msg.result;
+
+        if (!d || !d.s) {
+            return out;
+        }
+
+        out.push({
+            stream: `${d.s.toLowerCase()}@depth@100ms`,
+            data: {
+                U: Number(d.U),
+                u: Number(d.u),
+                b: d.b || [],
+                a: d.a || [],
+                E: Number(d.t)
+            }
+        });
+    }
+
+    return out;
+}
+
+function buildFrames(topics, event) {
+    return topics.map(t => JSON.stringify({
+        time: Math.floor(Date.now() / 1000),
+        channel: t.channel,
+        event,
+        payload: t.payload
+    }));
+}
+
+function buildSubscribeFrames(topics) {
+    return buildFrames(topics, "subscribe");
+}
+
+function buildUnsubscribeFrames(topics) {
+    return buildFrames(topics, "unsubscribe");
+}
+
+function buildPingFrame() {
+    return JSON.stringify({ time: Math.floor(Date.now() / 1000), channel: "spot.ping" });
+}
+
+async function fetchTradablePairs(quote) {
+    const { data } = await restRequest({
+        method: "get",
+        url: `${REST_URL}/spot/currency_pairs`,
+        timeout: 10_000
+    });
+
+    return new Set(
+        data
+            .filter(p => p.quote === quote && p.trade_status === "tradable")
+            .map(p => p.id)
+    );
+}
+
+async function fetchOrderBook(pair, limit) {
+    const { data } = await restRequest({
+        method: "get",
+        url: `${REST_URL}/spot/order_book`,
+        params: {
+            currency_pair: pair,
+            limit,
+            with_id: true
+        }
+    });
+
+    return {
+        lastUpdateId: Number(data.id),
+        bids: data.bids,
+        asks: data.asks
+    };
+}
+
+async function fetchServerTime() {
+    const { data } = await restRequest({
+        method: "get",
+        url: `${REST_URL}/spot/time`,
+        timeout: 5_000
+    }, 0);
+
+    return Number(data.server_time);
+}
+
+async function fetchTradesAfter(pair, afterId, limit) {
+    const { data } = await restRequest({
+        method: "get",
+        url: `${REST_URL}/spot/trades`,
+        params: {
+            currency_pair: pair,
+            last_id: afterId,
+            reverse: false,
+            limit
+        }
+    });
+
+    return data
+        .map(t => ({
+            id: Number(t.id),
+            price: Number(t.price),
+            amount: Number(t.amount),
+            tsMs: Math.floor(Number(t.create_time_ms || t.create_time * 1000)),
+            isSell: t.side === "sell"
+        }))
+        .sort((a, b) => a.id - b.id);
+}
+
+export default {
+    id: "gate",
+    wsUrl: WS_URL,
+    maxTopicsPerWs: 180,
+    pingIntervalMs: 20_000,
+    formatPair: (base, quote) => `${base}_${quote}`,
+    mapChannelToTopic,
+    translate,
+    buildSubscribeFrames,
+    buildUnsubscribeFrames,
+    buildPingFrame,
+    fetchTradablePairs,
+    fetchOrderBook,
+    fetchTradesAfter,
+    fetchServerTime
+};
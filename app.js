@@ -8,20 +8,58 @@ import IORedis from "ioredis";
 import Websockets from "./websockets.js";
 import SymbolMonitor from "./symbolMonitor.js";
 import params from "./parameters.js";
+import clock, { ReplayClock } from "./clock.js";
+import exchange from "./exchange.js";
 import fetchBestPairs from "./pairSelector.js";
-import { initPriceTape, handleTradeTick, shutdownPriceTape } from "./priceTape.js";
-
-import "./workerBook.js";
-import "./workerPrice.js";
+import { initPriceTape, onSecBarClosed, handleTradeTick, retireTapeForPair, shutdownPriceTape } from "./priceTape.js";
+import FeedRecorder from "./feedRecorder.js";
+import { replayFeed } from "./feedReplay.js";
+import { startClockSkewTracking, stopClockSkewTracking, setClockOffsetMs, forgetSymbol } from "./feedLatency.js";
+import { loadConfig, startConfigReload, stopConfigReload } from "./config.js";
+import { updateMarketContext, withReferencePairs } from "./marketContext.js";
+import { publishUniverse } from "./benchmarks.js";
+import { initBookCapture, captureDepth5, retireBookCapture } from "./bookCapture.js";
+import { startFunnelFlush, stopFunnelFlush, flushFunnel, summarizeFunnel } from "./signalFunnel.js";
+import { initMonitorState, saveMonitorStates, restoreMonitorState, warmUpFromTape } from "./monitorState.js";
 
 const redis = new IORedis({ maxRetriesPerRequest: null });
+const symbolMonitors = new Map();
+const replayMode = Boolean(params.REPLAY_FEED_DIR);
 
-initPriceTape(redis);
+// The workers consume the live job queues; a replay must leave them alone.
+if (!replayMode) {
+    await import("./workerBook.js");
+    await import("./workerPrice.js");
+}
 
-const symbolMonitors = new Map();
+// A replay builds its bars in memory only: it must never overwrite the live tape.
+initPriceTape(redis, { persist: !replayMode });
+onSecBarClosed((symbol, bar) => symbolMonitors.get(symbol)?.onSecBar(bar));
+initMonitorState(redis);
+
+// Post-signal book frames are for the live book worker only.
+if (!replayMode) {
+    initBookCapture(redis);
+}
 
 let gateStream;
+let recorder;
 let signalCheckIntervalId;
+let rotationIntervalId;
+let warmStateIntervalId;
+let rotationInFlight = false;
+
+function streamsForSymbol(symbol) {
+    const s = symbol.toLowerCase();
+
+    return [
+        `${s}@aggTrade`,
+        `${s}@ticker`,
+        `${s}@bookTicker`,
+        `${s}@depth5@100ms`,
+        `${s}@depth@100ms`
+    ];
+}
 
 function processCombinedStreamData(rawMessage) {
     try {
@@ -56,7 +94,7 @@ function processCombinedStreamData(rawMessage) {
                 const volumeU = parseFloat(data.q) * price;
                 const tsMs = data.E;
 
-                handleTradeTick(symbol, price, volumeU, tsMs);
+                handleTradeTick(symbol, price, volumeU, tsMs, data.a);
                 break;
             }
 
@@ -70,15 +108,140 @@ function processCombinedStreamData(rawMessage) {
 
             case "depth5@100ms":
                 monitor.updateDepthSnapshot(data);
+                captureDepth5(symbol, data);
+                break;
+
+            case "depth@100ms":
+                monitor.applyDepthUpdate(data);
                 break;
         }
     } catch { }
 }
 
+function createMonitor({ symbol, tier }) {
+    return new SymbolMonitor(symbol, tier, {
+        dryRun: replayMode,
+        // Replays get book snapshots from the recording, never from REST.
+        fetchBookSnapshots: !replayMode,
+        onBookSnapshot: recorder ? (snapshot) => recorder.recordEvent("bookSnapshot", { symbol, snapshot }) : null
+    });
+}
+
+function applyUniverse(pairs) {
+    const nextTiers = new Map(pairs.map(p => [p.symbol, p.tier]));
+    const added = pairs.filter(p => !symbolMonitors.has(p.symbol));
+    const removed = [...symbolMonitors.keys()].filter(symbol => !nextTiers.has(symbol));
+
+    for (const [symbol, monitor] of symbolMonitors) {
+        if (nextTiers.has(symbol)) {
+            monitor.marketCapTier = nextTiers.get(symbol);
+        }
+    }
+
+    for (const symbol of removed) {
+        symbolMonitors.get(symbol).retire();
+        symbolMonitors.delete(symbol);
+        retireTapeForPair(symbol);
+        forgetSymbol(symbol);
+        retireBookCapture(symbol);
+    }
+
+    for (const pairData of added) {
+        symbolMonitors.set(pairData.symbol, createMonitor(pairData));
+    }
+
+    if (recorder) {
+        recorder.recordEvent("universe", { pairs }, { sticky: true });
+    }
+
+    // The price worker builds its benchmark basket from this.
+    if (!replayMode) {
+        publishUniverse(redis, [...symbolMonitors.keys()]).catch(err => {
+            console.warn("[universe] Publish failed:", err.message);
+        });
+    }
+
+    return { added, removed };
+}
+
+// Live only: a replay must neither pick up nor overwrite live warm state.
+// A snapshot too old to carry the return history is ignored and the tick
+// state is seeded from the stored second bars instead; the bar-based
+// indicators always come from the tape. Each monitor loads over an hour
+// of bars, so only WARM_UP_CONCURRENCY of them warm up at a time.
+async function restoreWarmState(pairs) {
+    const now = clock.now();
+    const queue = [...pairs];
+    let fromSnapshot = 0;
+    let fromBars = 0;
+
+    const warmUp = async ({ symbol }) => {
+        const monitor = symbolMonitors.get(symbol);
+
+        try {
+            const fields = await restoreMonitorState(monitor, now);
+            const fromTape = await warmUpFromTape(monitor, now, { seedTicks: !fields.includes("returnHistory") });
+
+            if (fields.includes("returnHistory")) {
+                fromSnapshot++;
+            } else if (fromTape) {
+                fromBars++;
+            }
+        } catch (err) {
+            console.error(`[warmState] ${symbol} warm-up failed:`, err.message);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(params.WARM_UP_CONCURRENCY, queue.length) }, async () => {
+        while (queue.length) {
+            await warmUp(queue.shift());
+        }
+    }));
+
+    console.log(`[warmState] ${pairs.length} monitor(s): ${fromSnapshot} from snapshots, ${fromBars} from second bars.`);
+}
+
+async function saveWarmState() {
+    try {
+        await saveMonitorStates(symbolMonitors.values());
+    } catch (err) {
+        console.error("[warmState] Snapshot failed:", err.message);
+    }
+}
+
+function runSignalChecks(now = clock.now()) {
+    for (const m of symbolMonitors.values()) {
+        m.performPeriodicCalculations(now);
+    }
+
+    // Every monitor sees the same market picture within a tick.
+    updateMarketContext(symbolMonitors.values(), now);
+
+    for (const m of symbolMonitors.values()) {
+        m.checkSignal(now);
+    }
+}
+
+function startSignalChecks() {
+    signalCheckIntervalId = setInterval(runSignalChecks, params.CHECK_SIGNAL_INTERVAL_MS);
+}
+
 async function start() {
-    console.log("Starting Cryptana Gate");
+    try {
+        await loadConfig();
+    } catch (err) {
+        console.error("FATAL: Cannot load monitor config.", err.message);
+        process.exit(1);
+    }
+
+    if (replayMode) {
+        return startReplay();
+    }
+
+    console.log(`Starting Cryptana Gate on ${exchange.id}`);
 
-    const initialPairs = await fetchBestPairs();
+    // BTC and ETH are always monitored: the market context is built on them.
+    const initialPairs = withReferencePairs(await fetchBestPairs());
 
     if (!initialPairs.length) {
         console.error("FATAL: Pair selection returned no symbols. Cannot start.");
@@ -87,36 +250,144 @@ async function start() {
 
     console.log(`Found ${initialPairs.length} pairs to monitor for this session.`);
 
-    initialPairs.forEach(pairData => {
-        symbolMonitors.set(pairData.symbol, new SymbolMonitor(pairData.symbol, pairData.tier));
-    });
+    if (params.RECORD_FEED_DIR) {
+        recorder = new FeedRecorder({
+            dir: params.RECORD_FEED_DIR,
+            prefix: exchange.id,
+            rotateMs: params.RECORD_ROTATE_MS,
+            // Every file starts with the books, so it replays on its own.
+            headEvents: () => [...symbolMonitors]
+                .map(([symbol, monitor]) => [symbol, monitor.orderBook.snapshot()])
+                .filter(([, snapshot]) => snapshot)
+                .map(([symbol, snapshot]) => ["bookSnapshot", { symbol, snapshot }])
+        });
+    }
+
+    applyUniverse(initialPairs);
+    await restoreWarmState(initialPairs);
 
-    const initialStreams = initialPairs.flatMap(p => [
-        `${p.symbol.toLowerCase()}@aggTrade`,
-        `${p.symbol.toLowerCase()}@ticker`,
-        `${p.symbol.toLowerCase()}@bookTicker`,
-        `${p.symbol.toLowerCase()}@depth5@100ms`
-    ]);
+    const initialStreams = initialPairs.flatMap(p => streamsForSymbol(p.symbol));
 
-    gateStream = new Websockets();
+    gateStream = new Websockets({ staleThresholds: params.STALE_FEED_MS });
     gateStream.on("message", processCombinedStreamData);
+    gateStream.on("stale", (keys) => console.warn(`[watchdog] Resubscribed ${keys.length} stale topic(s): ${keys.slice(0, 10).join(", ")}${keys.length > 10 ? " …" : ""}`));
     gateStream.on("error", (err) => console.error("WebSocket Error:", err));
-    gateStream.on("close", ()  => console.warn("WebSocket closed. Process restart required."));
+    gateStream.on("close", ()  => console.warn(`WebSocket closed – reconnecting in ${gateStream.reconnectMs} ms and resubscribing its topics.`));
+
+    if (recorder) {
+        gateStream.on("frame", (text, receivedAt) => recorder.record(text, receivedAt));
+    }
+
     gateStream.connect(initialStreams);
 
-    signalCheckIntervalId = setInterval(() => {
-        for (const m of symbolMonitors.values()) {
-            m.performPeriodicCalculations();
-            m.checkSignal();
+    startClockSkewTracking(exchange, params.CLOCK_SKEW_INTERVAL_MS, (est) => {
+        if (recorder) {
+            recorder.recordEvent("clockSkew", { offsetMs: est.offsetMs, rttMs: est.rttMs }, { sticky: true });
         }
-    }, params.CHECK_SIGNAL_INTERVAL_MS);
+    });
+
+    startSignalChecks();
+    startConfigReload();
+    startFunnelFlush();
+
+    rotationIntervalId = setInterval(rotateUniverse, params.PAIR_ROTATION_INTERVAL_MS);
+    warmStateIntervalId = setInterval(saveWarmState, params.WARM_STATE_INTERVAL_MS);
 
     console.log(`System started and is now monitoring ${symbolMonitors.size} pairs.`);
 }
 
+async function startReplay() {
+    console.log(`Starting Cryptana Gate replay of ${exchange.id} feed from ${params.REPLAY_FEED_DIR}`);
+
+    // Replay time follows the recorded receive times, the clock the live
+    // session ran on; exchange time is derived from it through the recorded
+    // clockSkew offset, exactly as live. The signal checks run on the same
+    // 250 ms grid they had live, independent of the replay speed.
+    const replayClock = new ReplayClock();
+    let nextCheckAt = null;
+
+    clock.use(replayClock);
+
+    const advanceTo = (t) => {
+        if (nextCheckAt === null) {
+            nextCheckAt = Math.ceil(t / params.CHECK_SIGNAL_INTERVAL_MS) * params.CHECK_SIGNAL_INTERVAL_MS;
+        }
+
+        while (nextCheckAt <= t) {
+            replayClock.advanceTo(nextCheckAt);
+            runSignalChecks(nextCheckAt);
+            nextCheckAt += params.CHECK_SIGNAL_INTERVAL_MS;
+        }
+
+        replayClock.advanceTo(t);
+    };
+
+    try {
+        await replayFeed({
+            dir: params.REPLAY_FEED_DIR,
+            adapter: exchange,
+            speed: params.REPLAY_SPEED,
+            onTime: advanceTo,
+            onMessage: processCombinedStreamData,
+            onEvent: (entry) => {
+                if (entry.event === "universe") {
+                    applyUniverse(entry.pairs);
+                } else if (entry.event === "clockSkew") {
+                    setClockOffsetMs(entry.offsetMs);
+                } else if (entry.event === "bookSnapshot") {
+                    symbolMonitors.get(entry.symbol)?.orderBook.applySnapshot(entry.snapshot);
+                }
+            }
+        });
+    } catch (err) {
+        console.error("[replay] Replay failed:", err);
+    }
+
+    await stop();
+}
+
+async function rotateUniverse() {
+    if (rotationInFlight) {
+        return;
+    }
+
+    rotationInFlight = true;
+
+    try {
+        const pairs = await fetchBestPairs();
+
+        if (!pairs.length) {
+            console.warn("[rotation] Pair selection returned no symbols. Keeping current universe.");
+            return;
+        }
+
+        const { added, removed } = applyUniverse(withReferencePairs(pairs));
+
+        if (removed.length) {
+            gateStream.unsubscribe(removed.flatMap(streamsForSymbol));
+        }
+
+        if (added.length) {
+            await restoreWarmState(added);
+            gateStream.subscribe(added.flatMap(p => streamsForSymbol(p.symbol)));
+        }
+
+        console.log(`[rotation] +${added.length} / -${removed.length} pairs, now monitoring ${symbolMonitors.size}.`);
+    } catch (err) {
+        console.error("[rotation] Universe rotation failed:", err);
+    } finally {
+        rotationInFlight = false;
+    }
+}
+
 async function stop() {
     console.log("Shutting down…");
     clearInterval(signalCheckIntervalId);
+    clearInterval(rotationIntervalId);
+    clearInterval(warmStateIntervalId);
+    stopClockSkewTracking();
+    stopConfigReload();
+    stopFunnelFlush();
 
     if (gateStream) {
         gateStream.disconnect();
@@ -124,6 +395,22 @@ async function stop() {
 
     shutdownPriceTape();
 
+    if (!replayMode) {
+        await saveWarmState();
+
+        try {
+            await flushFunnel();
+        } catch (err) {
+            console.error("[funnel] Final flush failed:", err.message);
+        }
+    } else {
+        console.log("[replay] Rejection funnel:", JSON.stringify(summarizeFunnel(), null, 2));
+    }
+
+    if (recorder) {
+        await recorder.close();
+    }
+
     try {
         await redis.quit();
     } catch {}
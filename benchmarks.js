@@ -0,0 +1,126 @@
+import exchange from "./exchange.js";
+
+// ---------------------------------------------------------------------
+// Benchmarks for signal outcomes: BTC, and optionally an equal-weighted
+// basket of the monitored universe. A signal that gains 1 % while BTC
+// gains 1.2 % is no edge; the price worker stores returns in excess of
+// the benchmarks next to the raw ones.
+//
+// The universe lives in Redis (`<exchange>:universe`), published by the
+// engine whenever it changes, so the workers need no access to it.
+// Beta against BTC is estimated from 1 m returns before the signal.
+// ---------------------------------------------------------------------
+
+export const BENCHMARK_PAIR = exchange.formatPair("BTC", "USDT");
+
+const UNIVERSE_KEY = `${exchange.id}:universe`;
+const MIN_BETA_POINTS = 30;
+
+export async function publishUniverse(redis, symbols) {
+    const tx = redis.multi().del(UNIVERSE_KEY);
+
+    if (symbols.length) {
+        tx.sadd(UNIVERSE_KEY, ...symbols);
+    }
+
+    await tx.exec();
+}
+
+export async function loadUniverse(redis) {
+    return redis.smembers(UNIVERSE_KEY);
+}
+
+/**
+ * Price of a pair at signal time: the close of the last second completed
+ * before `startMs`, else the open of the next bar.
+ */
+export function referencePrice(bars, startMs) {
+    let price = null;
+
+    for (const bar of bars) {
+        if (bar.t + 1000 > startMs) return price ?? bar.open;
+        price = bar.close;
+    }
+
+    return price;
+}
+
+/**
+ * Return since signal time at each offset (seconds, ascending), taking
+ * the first bar at or after the offset like the raw price rows do (the
+ * last bar when none is). Nulls without a reference price.
+ */
+export function offsetReturns(bars, startMs, offsets) {
+    const ref = referencePrice(bars, startMs);
+    let i = 0;
+
+    return offsets.map(sec => {
+        const target = startMs + sec * 1000;
+        while (i < bars.length - 1 && bars[i].t < target) i++;
+
+        const bar = bars[i];
+        return ref > 0 && bar && bar.t >= startMs ? bar.close / ref - 1 : null;
+    });
+}
+
+// minute (epoch) -> last close of that minute
+function minuteCloses(bars) {
+    const closes = new Map();
+
+    for (const bar of bars) {
+        closes.set(Math.floor(bar.t / 60_000), bar.close);
+    }
+
+    return closes;
+}
+
+/**
+ * Beta of an asset against a benchmark from the 1 m log returns of both
+ * over the minutes they share. `{ beta, points }`; beta is null with too
+ * few points or a flat benchmark.
+ */
+export function estimateBeta(assetBars, benchBars) {
+    const asset = minuteCloses(assetBars);
+    const bench = minuteCloses(benchBars);
+    const xs = [];
+    const ys = [];
+
+    for (const [minute, close] of asset) {
+        const prev = asset.get(minute - 1);
+        const b = bench.get(minute);
+        const bPrev = bench.get(minute - 1);
+
+        if (prev > 0 && close > 0 && bPrev > 0 && b > 0) {
+            ys.push(Math.log(close / prev));
+            xs.push(Math.log(b / bPrev));
+        }
+    }
+
+    if (xs.length < MIN_BETA_POINTS) {
+        return { beta: null, points: xs.length };
+    }
+
+    const mx = xs.reduce((s, x) => s + x, 0) / xs.length;
+    const my = ys.reduce((s, y) => s + y, 0) / ys.length;
+    let cov = 0, varx = 0;
+
+    for (let i = 0; i < xs.length; i++) {
+        cov += (xs[i] - mx) * (ys[i] - my);
+        varx += (xs[i] - mx) ** 2;
+    }
+
+    return { beta: varx > 0 ? cov / varx : null, points: xs.length };
+}
+
+/**
+ * Equal-weighted basket return at each offset: the mean over the pairs
+ * with a return at that offset (null when none has).
+ */
+export function basketReturns(barsPerPair, startMs, offsets) {
+    const perPair = barsPerPair.map(bars => offsetReturns(bars, startMs, offsets));
+
+    return offsets.map((_, k) => {
+        const rets = perPair.map(r => r[k]).filter(r => r !== null);
+        return rets.length ? rets.reduce((s, r) => s + r, 0) / rets.length : null;
+    });
+}
@@ -0,0 +1,213 @@
+import IORedis from "ioredis";
+import exchange from "./exchange.js";
+import params from "./parameters.js";
+import clock from "./clock.js";
+
+// ---------------------------------------------------------------------
+// Post-signal order book trajectory. For BOOK_CAPTURE_WINDOW_MS after a
+// signal, every depth5@100ms frame of its symbol is kept in Redis
+// (`<exchange>:book5:<symbol>`, a sorted set scored by engine time), and
+// the book worker turns the frames into a trajectory sampled every
+// BOOK_TRAJECTORY_STEP_MS: imbalance, spread, depth and microprice.
+//
+// A stretch longer than BOOK_STREAM_MAX_GAP_MS without frames is a gap
+// (reconnect, stale feed, engine restart). The fixed-offset snapshots of
+// the book worker come from the frames too, and only fall back to a REST
+// depth request when the stream had a gap at that moment.
+// ---------------------------------------------------------------------
+
+const REDIS_KEY_PREFIX = `${exchange.id}:book5:`;
+const RETENTION_MS = 30 * 60 * 1000;
+const LEVELS = 5;
+
+let _redis = null;
+const _captureUntil = new Map();    // symbol -> end of its capture window (ms)
+const _lastFrame = new Map();       // symbol -> latest frame seen, captured or not
+
+export function initBookCapture(redisInstance) {
+    if (!redisInstance || !(redisInstance instanceof IORedis)) {
+        throw new Error("initBookCapture() requires an ioredis instance");
+    }
+
+    _redis = redisInstance;
+}
+
+function levels(side) {
+    return side.slice(0, LEVELS).map(([price, qty]) => [Number(price), Number(qty)]);
+}
+
+function storeFrame(symbol, frame) {
+    const key = REDIS_KEY_PREFIX + symbol;
+
+    _redis.multi()
+        .zadd(key, frame.t, JSON.stringify(frame))
+        .zremrangebyscore(key, "-inf", frame.t - RETENTION_MS)
+        .pexpire(key, RETENTION_MS)
+        .exec()
+        .catch(err => console.error(`[bookCapture] ${symbol} frame write failed`, err.message));
+}
+
+/**
+ * Capture the symbol's frames until `startMs + BOOK_CAPTURE_WINDOW_MS`
+ * (overlapping windows merge). The last frame before the signal is
+ * stored as well, so the trajectory has a book at offset 0.
+ */
+export function startBookCapture(symbol, startMs) {
+    if (!_redis || !(params.BOOK_CAPTURE_WINDOW_MS > 0)) {
+        return;
+    }
+
+    const until = startMs + params.BOOK_CAPTURE_WINDOW_MS;
+
+    if (!_captureUntil.has(symbol)) {
+        const last = _lastFrame.get(symbol);
+        if (last && startMs - last.t <= params.BOOK_STREAM_MAX_GAP_MS) storeFrame(symbol, last);
+    }
+
+    if (until > (_captureUntil.get(symbol) ?? 0)) {
+        _captureUntil.set(symbol, until);
+    }
+}
+
+export function captureDepth5(symbol, data, now = clock.now()) {
+    if (!data.bids?.length || !data.asks?.length) {
+        return;
+    }
+
+    const frame = { t: now, b: levels(data.bids), a: levels(data.asks) };
+    _lastFrame.set(symbol, frame);
+
+    const until = _captureUntil.get(symbol);
+
+    if (until === undefined) {
+        return;
+    }
+
+    if (now > until) {
+        _captureUntil.delete(symbol);
+        return;
+    }
+
+    storeFrame(symbol, frame);
+}
+
+export function retireBookCapture(symbol) {
+    _captureUntil.delete(symbol);
+    _lastFrame.delete(symbol);
+}
+
+/**
+ * Stored frames of a symbol between two engine times (inclusive),
+ * oldest first: `{ t, b, a }` with `[price, qty]` levels.
+ */
+export async function loadBookFrames(redis, symbol, fromMs, toMs) {
+    const raw = await redis.zrangebyscore(REDIS_KEY_PREFIX + symbol, fromMs, toMs);
+    return raw.map(member => JSON.parse(member));
+}
+
+/**
+ * Top-of-book summary of up to five levels per side. The microprice
+ * weights each best price by the size on the opposite side, leaning
+ * towards the side about to be taken out.
+ */
+export function summarizeDepth(bids, asks) {
+    const bidSum = bids.slice(0, LEVELS).reduce((s, [, q]) => s + Number(q), 0);
+    const askSum = asks.slice(0, LEVELS).reduce((s, [, q]) => s + Number(q), 0);
+
+    const bestBid = bids[0] ? Number(bids[0][0]) : 0;
+    const bestAsk = asks[0] ? Number(asks[0][0]) : 0;
+    const bestBidQty = bids[0] ? Number(bids[0][1]) : 0;
+    const bestAskQty = asks[0] ? Number(asks[0][1]) : 0;
+    const midPrice = (bestBid + bestAsk) / 2;
+
+    // USDT normalised at the mid price
+    const bidSumUsdt = bidSum * midPrice;
+    const askSumUsdt = askSum * midPrice;
+    const totalUsdt = bidSumUsdt + askSumUsdt;
+    const topQty = bestBidQty + bestAskQty;
+
+    return {
+        bid_sum_base: bidSum,
+        ask_sum_base: askSum,
+        bid_sum_usdt: bidSumUsdt,
+        ask_sum_usdt: askSumUsdt,
+        total_liquidity_usdt: totalUsdt,
+        imbalance_usdt: (bidSumUsdt - askSumUsdt) / (totalUsdt + 1e-8),
+        mid_price: midPrice,
+        microprice: topQty > 0 ? (bestBid * bestAskQty + bestAsk * bestBidQty) / topQty : midPrice,
+        best_bid: bestBid,
+        best_ask: bestAsk,
+        spread_bps: bestAsk > 0 ? ((bestAsk - bestBid) / bestAsk) * 10000 : null
+    };
+}
+
+/**
+ * The last frame at or before `ms`, unless it is more than `maxGapMs`
+ * old (the stream had a gap there); frames oldest first.
+ */
+export function frameAt(frames, ms, maxGapMs = params.BOOK_STREAM_MAX_GAP_MS) {
+    let found = null;
+
+    for (const frame of frames) {
+        if (frame.t > ms) break;
+        found = frame;
+    }
+
+    return found && ms - found.t <= maxGapMs ? found : null;
+}
+
+/**
+ * Trajectory of the book after a signal at `startMs`: one point per step
+ * from offset 0 to the end of the window (skipped where the stream had a
+ * gap), the gaps as offsets from the signal, and the share of steps with
+ * a point.
+ */
+export function bookTrajectory(frames, startMs, {
+    windowMs = params.BOOK_CAPTURE_WINDOW_MS,
+    stepMs = params.BOOK_TRAJECTORY_STEP_MS,
+    maxGapMs = params.BOOK_STREAM_MAX_GAP_MS
+} = {}) {
+    const endMs = startMs + windowMs;
+    const points = [];
+    const gaps = [];
+    let steps = 0;
+    let i = 0;
+    let last = null;
+
+    for (let offset = 0; offset <= windowMs; offset += stepMs) {
+        const t = startMs + offset;
+        steps++;
+
+        while (i < frames.length && frames[i].t <= t) last = frames[i++];
+        if (!last || t - last.t > maxGapMs) continue;
+
+        const { imbalance_usdt, spread_bps, bid_sum_usdt, ask_sum_usdt, total_liquidity_usdt, mid_price, microprice } = summarizeDepth(last.b, last.a);
+
+        points.push({
+            t_offset_ms: offset,
+            frame_age_ms: t - last.t,
+            imbalance_usdt,
+            spread_bps,
+            bid_sum_usdt,
+            ask_sum_usdt,
+            total_liquidity_usdt,
+            mid_price,
+            microprice,
+            microprice_dev_bps: mid_price > 0 ? (microprice / mid_price - 1) * 10000 : null
+        });
+    }
+
+    // Silences between consecutive frames (and up to the window end),
+    // clipped to the window.
+    let prevT = frames.filter(f => f.t <= startMs).at(-1)?.t ?? startMs;
+
+    for (const t of [...frames.filter(f => f.t > startMs && f.t <= endMs).map(f => f.t), endMs]) {
+        if (t - prevT > maxGapMs) {
+            gaps.push({ from_ms: Math.max(prevT, startMs) - startMs, to_ms: t - startMs });
+        }
+
+        prevT = t;
+    }
+
+    return { points, gaps, coverage: steps ? points.length / steps : 0 };
+}
@@ -1,21 +1,56 @@
+// Storage starts small and doubles up to `capacity` as items arrive, so
+// generously sized buffers cost little memory while they are sparse.
+const INITIAL_SLOTS = 64;
+
 export default class CircularBuffer {
   /**
    * @param {number} capacity  Max number of elements to hold
    */
   constructor(capacity) {
     this.capacity = capacity;
-    this.buffer = [];
+    this.buffer = new Array(Math.min(capacity, INITIAL_SLOTS));
+    this.head = 0;    // index of the oldest item
+    this.count = 0;
   }
 
   /**
    * Add an item; if over capacity, drop the oldest.
    * @param {*} item
+   * @returns {*} The dropped item, or undefined when nothing was dropped.
    */
   add(item) {
-    if (this.buffer.length === this.capacity) {
-      this.buffer.shift();
+    if (this.count < this.capacity) {
+      if (this.count === this.buffer.length) this._grow();
+      this.buffer[(this.head + this.count) % this.buffer.length] = item;
+      this.count++;
+      return undefined;
     }
-    this.buffer.push(item);
+
+    const dropped = this.buffer[this.head];
+    this.buffer[this.head] = item;
+    this.head = (this.head + 1) % this.buffer.length;
+    return dropped;
+  }
+
+  /**
+   * Double the storage (up to capacity), oldest item first.
+   */
+  _grow() {
+    this.buffer = this.toArray().concat(new Array(Math.min(this.capacity, 2 * this.buffer.length) - this.count));
+    this.head = 0;
+  }
+
+  /**
+   * Remove and return the oldest item (undefined when empty).
+   */
+  removeOldest() {
+    if (this.count === 0) return undefined;
+
+    const item = this.buffer[this.head];
+    this.buffer[this.head] = undefined;
+    this.head = (this.head + 1) % this.buffer.length;
+    this.count--;
+    return item;
   }
 
   /**
@@ -23,27 +58,48 @@ export default class CircularBuffer {
    * @param {number} i
    */
   get(i) {
-    return this.buffer[i];
+    if (i < 0 || i >= this.count) return undefined;
+    return this.buffer[(this.head + i) % this.buffer.length];
+  }
+
+  /**
+   * Get the oldest item.
+   */
+  getOldest() {
+    return this.get(0);
   }
 
   /**
    * Get the newest (most recent) item.
    */
   getNewest() {
-    return this.buffer[this.buffer.length - 1];
+    return this.get(this.count - 1);
+  }
+
+  /**
+   * Drop every item.
+   */
+  clear() {
+    this.buffer = new Array(Math.min(this.capacity, INITIAL_SLOTS));
+    this.head = 0;
+    this.count = 0;
   }
 
   /**
    * Return an array copy of the buffer.
    */
   toArray() {
-    return this.buffer.slice();
+    const out = new Array(this.count);
+    for (let i = 0; i < this.count; i++) {
+      out[i] = this.buffer[(this.head + i) % this.buffer.length];
+    }
+    return out;
   }
 
   /**
    * Number of items currently in buffer.
    */
   get size() {
-    return this.buffer.length;
+    return this.count;
   }
-}
\ No newline at end of file
+}
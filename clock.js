@@ -0,0 +1,39 @@
+/**
+ * Time source for the signal engine. Live sessions read the system clock;
+ * replays and backtests install a ReplayClock and advance it with the
+ * recorded time of each frame, so every window, cooldown and cache in the
+ * engine sees exactly the timestamps it saw live.
+ */
+export class ReplayClock {
+    constructor(startMs = 0) {
+        this.current = startMs;
+    }
+
+    now() {
+        return this.current;
+    }
+
+    advanceTo(ms) {
+        if (ms > this.current) {
+            this.current = ms;
+        }
+    }
+}
+
+const systemClock = {
+    now: () => Date.now()
+};
+
+let source = systemClock;
+
+const clock = {
+    now() {
+        return source.now();
+    },
+
+    use(newSource) {
+        source = newSource ?? systemClock;
+    }
+};
+
+export default clock;
@@ -0,0 +1,223 @@
+import fs from "node:fs/promises";
+import mongo from "./mongo.js";
+import params from "./parameters.js";
+import { validateDetectorConfig } from "./detectors.js";
+
+// ---------------------------------------------------------------------
+// Layered monitor configuration: global -> tier -> symbol.
+//
+// parameters.js supplies the global defaults and the built-in tier
+// profiles (TIER_PROFILES). The config source – a JSON file or the
+// `config` collection – overrides any layer, its global layer included
+// over the built-in profiles:
+//
+//   { global: {...}, tiers: { mid: {...} }, symbols: { "PEPE_USDT": {...} } }
+//
+// Every reload is validated as a whole; a bad one is refused and the
+// previous version stays live. Monitors compare `getConfigVersion()` on
+// each check tick and re-resolve when it moved.
+// ---------------------------------------------------------------------
+
+const LAYERED_KEYS = new Set([
+    "EXPECTED_TRADE_SIZE_USD",
+    "MIN_EXECUTION_MULTIPLIER",
+    "MIN_24H_VOLUME_USD",
+    "ABS_VOLUME_FLOOR_USD",
+    "MAX_BID_ASK_SPREAD_PCT",
+    "MAX_NORMALIZED_SPREAD",
+    "MAX_BOOK_IMPACT_BPS",
+    "MAX_MARKET_SPIKE_BREADTH",
+    "MAX_BTC_SLOPE_Z",
+    "DETECTORS"
+]);
+
+const TIERS = new Set(["mega", "large", "mid", "small", "micro"]);
+const CONFIG_DOC_ID = "monitor";
+
+let source = { global: {}, tiers: {}, symbols: {} };
+let sourceText = null;
+let version = 0;
+let reloadTimer = null;
+
+const resolved = new Map();          // "<tier>:<symbol>" -> merged config of the current version
+
+function isPlainObject(x) {
+    return x !== null && typeof x === "object" && !Array.isArray(x);
+}
+
+function validateLayer(layer, where) {
+    if (!isPlainObject(layer)) {
+        return [`${where} must be an object`];
+    }
+
+    const errors = [];
+
+    for (const [key, value] of Object.entries(layer)) {
+        if (!LAYERED_KEYS.has(key)) {
+            errors.push(`${where}: unknown key "${key}"`);
+        } else if (key === "DETECTORS") {
+            errors.push(...validateDetectorConfig(value, `${where}.DETECTORS`));
+        } else if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+            errors.push(`${where}.${key} must be a non-negative number`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Problems with a config document (empty when valid).
+ */
+export function validateConfig(doc) {
+    if (!isPlainObject(doc)) {
+        return ["config must be an object"];
+    }
+
+    const errors = [];
+
+    for (const key of Object.keys(doc)) {
+        if (!["global", "tiers", "symbols"].includes(key)) {
+            errors.push(`unknown section "${key}"`);
+        }
+    }
+
+    if (doc.global !== undefined) {
+        errors.push(...validateLayer(doc.global, "global"));
+    }
+
+    for (const section of ["tiers", "symbols"]) {
+        if (doc[section] !== undefined && !isPlainObject(doc[section])) {
+            errors.push(`${section} must be an object`);
+        }
+    }
+
+    for (const [tier, layer] of Object.entries(isPlainObject(doc.tiers) ? doc.tiers : {})) {
+        if (!TIERS.has(tier)) {
+            errors.push(`tiers: unknown tier "${tier}"`);
+            continue;
+        }
+
+        errors.push(...validateLayer(layer, `tiers.${tier}`));
+    }
+
+    for (const [symbol, layer] of Object.entries(isPlainObject(doc.symbols) ? doc.symbols : {})) {
+        errors.push(...validateLayer(layer, `symbols.${symbol}`));
+    }
+
+    return errors;
+}
+
+function parameterDefaults() {
+    return Object.fromEntries([...LAYERED_KEYS].map(k => [k, params[k]]));
+}
+
+function mergeLayer(base, layer = {}) {
+    const merged = { ...base, ...layer, DETECTORS: { ...base.DETECTORS } };
+
+    for (const [id, overrides] of Object.entries(layer.DETECTORS ?? {})) {
+        merged.DETECTORS[id] = { ...merged.DETECTORS[id], ...overrides };
+    }
+
+    return merged;
+}
+
+async function readSource() {
+    switch (params.CONFIG_SOURCE) {
+        case "file": {
+            const text = await fs.readFile(params.CONFIG_FILE, "utf8");
+            return JSON.parse(text);
+        }
+
+        case "mongo": {
+            await mongo.connect();
+            const doc = await mongo.getCollection("config").findOne({ _id: CONFIG_DOC_ID }, { projection: { _id: 0 } });
+            return doc ?? {};
+        }
+
+        case null:
+            return {};
+
+        default:
+            throw new Error(`Unknown CONFIG_SOURCE "${params.CONFIG_SOURCE}"`);
+    }
+}
+
+/**
+ * Read and validate the config source. Returns true when a new version
+ * went live, false when nothing changed; throws when the source cannot be
+ * read or does not validate.
+ */
+export async function loadConfig() {
+    const doc = await readSource();
+    const text = JSON.stringify(doc);
+
+    if (text === sourceText) {
+        return false;
+    }
+
+    // The built-in tier profiles are checked with the source so a typo in
+    // parameters.js fails just as loudly.
+    const errors = [
+        ...validateLayer(parameterDefaults(), "parameters"),
+        ...Object.entries(params.TIER_PROFILES).flatMap(([tier, layer]) => validateLayer(layer, `TIER_PROFILES.${tier}`)),
+        ...validateConfig(doc)
+    ];
+
+    if (errors.length) {
+        throw new Error(`Invalid config: ${errors.join("; ")}`);
+    }
+
+    source = { global: doc.global ?? {}, tiers: doc.tiers ?? {}, symbols: doc.symbols ?? {} };
+    sourceText = text;
+    version++;
+    resolved.clear();
+
+    console.log(`[config] Version ${version} live (${params.CONFIG_SOURCE ?? "parameters.js"}; ${Object.keys(source.symbols).length} symbol override(s)).`);
+    return true;
+}
+
+export function startConfigReload(intervalMs = params.CONFIG_RELOAD_INTERVAL_MS) {
+    stopConfigReload();
+
+    reloadTimer = setInterval(async () => {
+        try {
+            await loadConfig();
+        } catch (err) {
+            console.error(`[config] Reload refused, keeping version ${version}:`, err.message);
+        }
+    }, intervalMs);
+}
+
+export function stopConfigReload() {
+    clearInterval(reloadTimer);
+    reloadTimer = null;
+}
+
+export function getConfigVersion() {
+    return version;
+}
+
+/**
+ * Effective config for one symbol. Later layers win: parameters.js
+ * defaults, built-in tier profile, source global, source tier, source
+ * symbol. The built-in profiles come before the source global layer:
+ * every profile sets the same keys, so a global override placed under
+ * them would be shadowed for every symbol.
+ */
+export function resolveConfig(symbol, tier) {
+    const key = `${tier}:${symbol}`;
+    let cfg = resolved.get(key);
+
+    if (!cfg) {
+        cfg = [
+            params.TIER_PROFILES[tier],
+            source.global,
+            source.tiers[tier],
+            source.symbols[symbol]
+        ].reduce((acc, layer) => mergeLayer(acc, layer), parameterDefaults());
+
+        resolved.set(key, cfg);
+    }
+
+    return cfg;
+}
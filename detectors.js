@@ -0,0 +1,309 @@
+import params from "./parameters.js";
+import CircularBuffer from "./circularBuffer.js";
+import { gate, condition, verdict } from "./gates.js";
+
+// ---------------------------------------------------------------------
+// A detector sees the features a SymbolMonitor computed for one tick and
+// answers with a verdict (see gates.js): the direction it would trade,
+// every gate it checked – all of them, not just up to the first failure –
+// and extra vector fields. It fires when every gate passes.
+// `evaluate(features, now)` is called once per check tick.
+// Each detector carries its own id, parameter set, cooldown and the queue
+// jobs its signals need. Detectors may keep state; every monitor gets its
+// own instances.
+// ---------------------------------------------------------------------
+
+// Expected queue jobs unless a detector says otherwise -----------------
+const DEFAULT_JOBS = { price: true, orderbookOffsets: [3, 10, 30], bookTrajectory: true };
+
+// Trigger parameters every detector understands (see SymbolMonitor.checkSignal).
+function triggerDefaults() {
+    return {
+        triggerMode: params.SIGNAL_TRIGGER_MODE,
+        minScore: params.SIGNAL_MIN_SCORE,
+        maxGateDeficit: params.SIGNAL_MAX_GATE_DEFICIT
+    };
+}
+
+// Parameters with a fixed set of values.
+const ENUM_PARAMS = { triggerMode: ["gates", "score"] };
+
+// Parameters come from `static defaults()` plus the layered config
+// overrides; `configure` may be called again on a live instance when the
+// config reloads, without losing the detector's state.
+class Detector {
+    constructor(id, overrides = {}) {
+        this.id = id;
+        this.jobs = DEFAULT_JOBS;
+        this.configure(overrides);
+    }
+
+    configure(overrides = {}) {
+        this.params = { ...triggerDefaults(), ...this.constructor.defaults(), ...overrides };
+        this.cooldownMs = this.params.cooldownMs;
+    }
+}
+
+/* ---------------------------------------------------------------------
+ *   VOLUME MOMENTUM – the original volume spike + price impulse trigger
+ * -------------------------------------------------------------------*/
+export class VolumeMomentumDetector extends Detector {
+    static defaults() {
+        return {
+            cooldownMs: params.SIGNAL_COOLDOWN_MS,
+            maxVol5m: 1.50,             // tier profiles tighten / loosen this
+            minVol5m: 0.05,
+            minRatio1m5m: params.MIN_VOLUME_SPIKE_RATIO_1M5M,
+            minAccelZ: params.VOLUME_ACCEL_ZSCORE,
+            minTrades1s: params.MIN_TRADES_IN_1S,
+            minSlopeZ: params.PRICE_SLOPE_ZSCORE,
+            minPriceZ: 1.5,
+            shortEnabled: params.SHORT_SIGNALS_ENABLED,
+            shortMaxTakerRatio: params.SHORT_MAX_TAKER_RATIO,
+            shortMaxBookImbalance: params.SHORT_MAX_BOOK_IMBALANCE
+        };
+    }
+
+    constructor(overrides = {}) {
+        super("volume_momentum", overrides);
+    }
+
+    evaluate(f) {
+        const p = this.params;
+
+        const gates = [
+            gate("vol_regime_high", f.volatility5m, "max", p.maxVol5m, { scored: false }),
+            gate("vol_regime_low", f.volatility5m, "min", p.minVol5m, { scored: false }),
+
+            /* -------- volume spike detection ---------------------*/
+            gate("volume_ratio_fast", f.volumeRatioFast1m, "min", f.dynVolumeThresh),
+            gate("volume_ratio_1m5m", f.volumeRatio1m5m, "min", p.minRatio1m5m),
+            gate("volume_accel", f.volumeAccelZ, "min", p.minAccelZ),
+            gate("volume_floor", f.current1sVolumeUsdt, "min", f.absVolumeFloor, { scored: false }),
+            gate("trade_count", f.current1sTradeCount, "min", p.minTrades1s, { scored: false }),
+        ];
+
+        /* -------- price momentum check (either direction) -------*/
+        if (f.priceChangePct === null || f.priceChangePct === 0) return verdict(null, [...gates, condition("price_lookback", false)]);
+
+        const direction = f.priceChangePct > 0 ? "long" : "short";
+        const dirSign   = direction === "long" ? 1 : -1;
+        if (direction === "short" && !p.shortEnabled) return verdict(direction, [...gates, condition("short_disabled", false)]);
+
+        gates.push(
+            gate("price_slope", dirSign * f.slopeZ, "min", p.minSlopeZ),
+            gate("price_zscore", dirSign * f.priceZScore, "min", p.minPriceZ)
+        );
+
+        /* -------- downside confirmation --------------------------*/
+        if (direction === "short") {
+            // sellers must be lifting the flow and the book must lean to the ask
+            gates.push(
+                gate("short_taker_flow", f.takerRatioSmoothed, "max", p.shortMaxTakerRatio),
+                gate("short_book_imbalance", f.depth5ObImbalance, "max", p.shortMaxBookImbalance)
+            );
+        }
+
+        return verdict(direction, gates);
+    }
+}
+
+/* ---------------------------------------------------------------------
+ *   24H BREAKOUT – price clears the 24 h high (or low) seen a while ago
+ * -------------------------------------------------------------------*/
+export class Breakout24hDetector extends Detector {
+    static defaults() {
+        return {
+            cooldownMs: 60_000,
+            referenceLagMs: 30_000,     // compare against the 24 h range as it stood this long ago
+            minBreakoutBps: 5,
+            minVolumeRatio: 2.0,        // ewma fast / 1 m baseline
+            shortEnabled: params.SHORT_SIGNALS_ENABLED
+        };
+    }
+
+    constructor(overrides = {}) {
+        super("breakout_24h", overrides);
+        this.rangeHistory = new CircularBuffer(256);
+    }
+
+    _referenceRange(now) {
+        const cutoff = now - this.params.referenceLagMs;
+        let ref = null;
+
+        for (let i = this.rangeHistory.size - 1; i >= 0; i--) {
+            const r = this.rangeHistory.get(i);
+            if (r.time <= cutoff) { ref = r; break; }
+        }
+
+        return ref;
+    }
+
+    evaluate(f, now) {
+        const p = this.params;
+
+        if (f.ticker24hrHigh > 0 && f.ticker24hrLow > 0) {
+            const newest = this.rangeHistory.getNewest();
+            // one sample per second is plenty for a 30 s lag
+            if (!newest || now - newest.time >= 1000) {
+                this.rangeHistory.add({ time: now, high: f.ticker24hrHigh, low: f.ticker24hrLow });
+            }
+        }
+
+        const ref = this._referenceRange(now);
+        if (!ref) return verdict(null, [condition("range_history", false)]);
+
+        const aboveBps = (f.lastPrice / ref.high - 1) * 1e4;
+        const belowBps = (1 - f.lastPrice / ref.low) * 1e4;
+
+        const direction = aboveBps >= belowBps ? "long" : "short";
+        const gates = [gate("volume_ratio_fast", f.volumeRatioFast1m, "min", p.minVolumeRatio)];
+        if (direction === "short" && !p.shortEnabled) return verdict(direction, [...gates, condition("short_disabled", false)]);
+
+        const breakoutBps = direction === "long" ? aboveBps : belowBps;
+        gates.push(gate("breakout_distance", breakoutBps, "min", p.minBreakoutBps));
+
+        return verdict(direction, gates, {
+            breakoutLevel: direction === "long" ? ref.high : ref.low,
+            breakoutBps
+        });
+    }
+}
+
+/* ---------------------------------------------------------------------
+ *   BOOK IMBALANCE FLIP – top-5 book swings from one side to the other
+ * -------------------------------------------------------------------*/
+export class ImbalanceFlipDetector extends Detector {
+    static defaults() {
+        return {
+            cooldownMs: 30_000,
+            flipLevel: 0.35,            // |imbalanceMA5| that counts as one-sided
+            maxFlipWindowMs: 5_000,     // opposite extreme must have been seen this recently
+            minVelocity: 0.05,
+            minTakerImbalance: 0.2,     // taker flow must agree with the new side
+            shortEnabled: params.SHORT_SIGNALS_ENABLED
+        };
+    }
+
+    constructor(overrides = {}) {
+        super("imbalance_flip", overrides);
+        this.jobs = { price: true, orderbookOffsets: [3, 10], bookTrajectory: true };
+        this.lastBidHeavyAt = 0;
+        this.lastAskHeavyAt = 0;
+    }
+
+    evaluate(f, now) {
+        const p = this.params;
+        const ma5 = f.imbalanceMA5;
+
+        const wasAskHeavy = now - this.lastAskHeavyAt <= p.maxFlipWindowMs;
+        const wasBidHeavy = now - this.lastBidHeavyAt <= p.maxFlipWindowMs;
+
+        if (ma5 <= -p.flipLevel) this.lastAskHeavyAt = now;
+        if (ma5 >=  p.flipLevel) this.lastBidHeavyAt = now;
+
+        // the side the book leans to now must have been the opposite extreme recently
+        const direction = ma5 >= 0 ? "long" : "short";
+        const dirSign   = direction === "long" ? 1 : -1;
+        const flipFromAt = direction === "long" ? this.lastAskHeavyAt : this.lastBidHeavyAt;
+
+        if (direction === "short" && !p.shortEnabled) return verdict(direction, [condition("short_disabled", false)]);
+        if (!(direction === "long" ? wasAskHeavy : wasBidHeavy)) return verdict(direction, [condition("no_flip", false)]);
+
+        return verdict(direction, [
+            gate("flip_level", dirSign * ma5, "min", p.flipLevel),
+            gate("imbalance_velocity", dirSign * f.imbalanceVelocity, "min", p.minVelocity),
+            gate("taker_confirmation", dirSign * f.takerFlowImbalance, "min", p.minTakerImbalance)
+        ], { flipFromAt });
+    }
+}
+
+const DETECTOR_CLASSES = {
+    volume_momentum: VolumeMomentumDetector,
+    breakout_24h: Breakout24hDetector,
+    imbalance_flip: ImbalanceFlipDetector
+};
+
+/**
+ * Fresh detector instances for one monitor, per `params.DETECTORS`
+ * (id -> parameter overrides; `enabled: false` switches one off).
+ */
+export function createDetectors(config = params.DETECTORS) {
+    return syncDetectors([], config);
+}
+
+/**
+ * Bring a monitor's detector list in line with `config`: instances that
+ * stay enabled are reconfigured in place (keeping their state), newly
+ * enabled ones are created and disabled ones dropped.
+ */
+export function syncDetectors(current, config) {
+    const existing = new Map(current.map(d => [d.id, d]));
+    const detectors = [];
+
+    for (const [id, overrides] of Object.entries(config)) {
+        const DetectorClass = DETECTOR_CLASSES[id];
+
+        if (!DetectorClass) {
+            throw new Error(`Unknown detector "${id}"`);
+        }
+
+        const { enabled = true, ...rest } = overrides ?? {};
+
+        if (!enabled) {
+            continue;
+        }
+
+        const detector = existing.get(id);
+
+        if (detector) {
+            detector.configure(rest);
+            detectors.push(detector);
+        } else {
+            detectors.push(new DetectorClass(rest));
+        }
+    }
+
+    return detectors;
+}
+
+/**
+ * Problems with a detector config block, as readable strings (empty when
+ * valid). Every key must be a known parameter of the same type as its
+ * default.
+ */
+export function validateDetectorConfig(config, where = "DETECTORS") {
+    const errors = [];
+
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+        return [`${where} must be an object`];
+    }
+
+    for (const [id, overrides] of Object.entries(config)) {
+        const DetectorClass = DETECTOR_CLASSES[id];
+
+        if (!DetectorClass) {
+            errors.push(`${where}: unknown detector "${id}"`);
+            continue;
+        }
+
+        if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+            errors.push(`${where}.${id} must be an object`);
+            continue;
+        }
+
+        const defaults = { enabled: true, ...triggerDefaults(), ...DetectorClass.defaults() };
+
+        for (const [key, value] of Object.entries(overrides)) {
+            if (!(key in defaults)) {
+                errors.push(`${where}.${id}: unknown parameter "${key}"`);
+            } else if (ENUM_PARAMS[key] && !ENUM_PARAMS[key].includes(value)) {
+                errors.push(`${where}.${id}.${key} must be one of ${ENUM_PARAMS[key].join(", ")}`);
+            } else if (typeof value !== typeof defaults[key] || (typeof value === "number" && !Number.isFinite(value))) {
+                errors.push(`${where}.${id}.${key} must be a ${typeof defaults[key]}`);
+            }
+        }
+    }
+
+    return errors;
+}
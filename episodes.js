@@ -0,0 +1,97 @@
+import mongo from "./mongo.js";
+import exchange from "./exchange.js";
+import params from "./parameters.js";
+
+// ---------------------------------------------------------------------
+// Signal episodes. One pump easily fires a string of near-identical
+// signals, one per cooldown. Signals of a symbol in the same direction
+// that follow each other within EPISODE_GAP_MS form an episode; the first
+// one is the primary signal. EPISODE_FOLLOW_UP_MODE decides what happens
+// to the others:
+//
+//   store    – stored and labelled like any signal, tagged with the episode
+//   count    – only tallied on the episode (count, last time, peak score)
+//   suppress – dropped; they merely keep the episode open
+//
+// Episodes are kept in the `episodes` collection, one document each.
+// ---------------------------------------------------------------------
+
+export const FOLLOW_UP_MODES = ["store", "count", "suppress"];
+
+export default class EpisodeTracker {
+    constructor(symbol, { gapMs = params.EPISODE_GAP_MS, followUpMode = params.EPISODE_FOLLOW_UP_MODE } = {}) {
+        if (!FOLLOW_UP_MODES.includes(followUpMode)) {
+            throw new Error(`Unknown episode follow-up mode "${followUpMode}" (expected ${FOLLOW_UP_MODES.join(", ")})`);
+        }
+
+        this.symbol = symbol;
+        this.gapMs = gapMs;
+        this.followUpMode = followUpMode;
+        this.open = {};                   // direction -> current episode
+    }
+
+    /**
+     * Place a signal that fired at `now` into its episode. Returns
+     * `{ episode, seq, primary, store }`, `store` saying whether the signal
+     * itself should be stored. Nothing changes until the placement is
+     * committed, so a signal refused later leaves its episode as it was.
+     */
+    assign(now, direction, detectorId, score) {
+        const open = this.open[direction];
+
+        if (!open || now - open.lastAt > this.gapMs) {
+            const episode = {
+                episodeId: `${exchange.id}:${this.symbol}:${direction}:${now}`,
+                symbol: this.symbol,
+                direction,
+                firstAt: now,
+                lastAt: now,
+                count: 1,
+                peakScore: score,
+                detectors: { [detectorId]: 1 },
+                primarySignalId: null,
+                followUpMode: this.followUpMode,
+            };
+            return { episode, seq: 1, primary: true, store: true };
+        }
+
+        // A suppressed follow-up only moves lastAt, keeping the episode open.
+        const episode = { ...open, lastAt: now, detectors: { ...open.detectors } };
+
+        if (this.followUpMode === "suppress") {
+            return { episode, seq: null, primary: false, store: false };
+        }
+
+        episode.count++;
+        episode.detectors[detectorId] = (episode.detectors[detectorId] ?? 0) + 1;
+        if (score !== null && (episode.peakScore === null || score > episode.peakScore)) episode.peakScore = score;
+
+        return { episode, seq: episode.count, primary: false, store: this.followUpMode === "store" };
+    }
+
+    /**
+     * Make a placement from `assign` the open episode of its direction.
+     */
+    commit({ episode }) {
+        this.open[episode.direction] = episode;
+    }
+}
+
+/**
+ * Upsert the episode document. Best effort: episodes are bookkeeping next
+ * to the signals, so a failed write is logged and never thrown into the
+ * signal path.
+ */
+export async function saveEpisode(episode) {
+    const { episodeId, firstAt, lastAt, ...rest } = episode;
+
+    try {
+        await mongo.getCollection("episodes").updateOne(
+            { _id: episodeId },
+            { $set: { exchange: exchange.id, ...rest, firstAt: new Date(firstAt), lastAt: new Date(lastAt) } },
+            { upsert: true }
+        );
+    } catch (err) {
+        console.error(`[episodes] ${episodeId} save failed:`, err.message);
+    }
+}
@@ -0,0 +1,22 @@
+import params from "./parameters.js";
+import gate from "./adapterGate.js";
+import binance from "./adapterBinance.js";
+
+const adapters = {
+    gate,
+    binance
+};
+
+export function getAdapter(id) {
+    const adapter = adapters[id];
+
+    if (!adapter) {
+        throw new Error(`Unknown exchange adapter "${id}" (available: ${Object.keys(adapters).join(", ")})`);
+    }
+
+    return adapter;
+}
+
+const exchange = getAdapter(params.EXCHANGE);
+
+export default exchange;
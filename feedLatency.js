@@ -0,0 +1,134 @@
+import CircularBuffer from "./circularBuffer.js";
+
+const SAMPLES_PER_CONNECTION = 2_000;
+const SKEW_PROBES = 5;
+
+const connections = new Map();        // connection id -> CircularBuffer of raw lags (ms)
+const symbolConnections = new Map();  // symbol -> connection id
+
+let clockOffsetMs = 0;                // exchange clock minus local clock
+let lastSkewEstimate = null;
+let skewTimer = null;
+
+function percentile(sorted, p) {
+    if (!sorted.length) {
+        return null;
+    }
+
+    const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1));
+    return sorted[idx];
+}
+
+/**
+ * Record one message's lag: local receive time minus the exchange event
+ * time. The raw value includes clock skew, which is removed on read.
+ */
+export function recordLatency(connId, symbol, eventMs, receivedAt) {
+    let samples = connections.get(connId);
+
+    if (!samples) {
+        samples = new CircularBuffer(SAMPLES_PER_CONNECTION);
+        connections.set(connId, samples);
+    }
+
+    samples.add(receivedAt - eventMs);
+    symbolConnections.set(symbol, connId);
+}
+
+export function forgetConnection(connId) {
+    connections.delete(connId);
+
+    for (const [symbol, id] of symbolConnections) {
+        if (id === connId) symbolConnections.delete(symbol);
+    }
+}
+
+// For symbols leaving the universe.
+export function forgetSymbol(symbol) {
+    symbolConnections.delete(symbol);
+}
+
+export function getConnectionLatency(connId) {
+    const samples = connections.get(connId);
+
+    if (!samples || !samples.size) {
+        return { p50: null, p90: null, p99: null, count: 0 };
+    }
+
+    const sorted = samples.toArray().map(x => x + clockOffsetMs).sort((a, b) => a - b);
+
+    return {
+        p50: percentile(sorted, 0.50),
+        p90: percentile(sorted, 0.90),
+        p99: percentile(sorted, 0.99),
+        count: sorted.length
+    };
+}
+
+export function getLatencyForSymbol(symbol) {
+    const connId = symbolConnections.get(symbol);
+    return getConnectionLatency(connId);
+}
+
+export function getAllConnectionLatency() {
+    return [...connections.keys()].map(connId => ({ connId, ...getConnectionLatency(connId) }));
+}
+
+export function getClockOffsetMs() {
+    return clockOffsetMs;
+}
+
+export function setClockOffsetMs(offsetMs) {
+    clockOffsetMs = offsetMs;
+}
+
+export function getLastSkewEstimate() {
+    return lastSkewEstimate;
+}
+
+/**
+ * NTP-style estimate against the exchange's REST time endpoint: several
+ * probes, keeping the one with the shortest round trip.
+ */
+export async function estimateClockSkew(adapter) {
+    let best = null;
+
+    for (let i = 0; i < SKEW_PROBES; i++) {
+        const t0 = Date.now();
+        const serverMs = await adapter.fetchServerTime();
+        const t1 = Date.now();
+        const rttMs = t1 - t0;
+
+        if (!best || rttMs < best.rttMs) {
+            best = { offsetMs: serverMs - (t0 + t1) / 2, rttMs, at: t1 };
+        }
+    }
+
+    clockOffsetMs = best.offsetMs;
+    lastSkewEstimate = best;
+
+    return best;
+}
+
+export function startClockSkewTracking(adapter, intervalMs, onEstimate = () => {}) {
+    const run = async () => {
+        try {
+            const est = await estimateClockSkew(adapter);
+            const worst = getAllConnectionLatency().reduce((m, c) => Math.max(m, c.p99 ?? 0), 0);
+
+            console.log(`[feedLatency] ${adapter.id} clock offset ${est.offsetMs.toFixed(1)} ms (rtt ${est.rttMs} ms), worst connection p99 ${worst.toFixed(0)} ms`);
+            onEstimate(est);
+        } catch (err) {
+            console.error("[feedLatency] Clock skew estimate failed", err.message);
+        }
+    };
+
+    stopClockSkewTracking();
+    run();
+    skewTimer = setInterval(run, intervalMs);
+}
+
+export function stopClockSkewTracking() {
+    clearInterval(skewTimer);
+    skewTimer = null;
+}
@@ -0,0 +1,107 @@
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+
+const ROTATE_MS = 60 * 60 * 1000;
+
+function fileStamp(ms) {
+    return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+}
+
+/**
+ * Writes raw exchange frames to gzip-compressed NDJSON files, one file per
+ * rotation period. Each line is either
+ *   {"t": <receive ms>, "frame": <raw frame>}
+ * or a session event such as
+ *   {"t": <ms>, "event": "universe", "pairs": [...]}
+ *
+ * `headEvents(t)` returns `[event, payload]` pairs for current state the
+ * stream never repeats (the order books, snapshotted once per sync); they
+ * are written after the sticky events at the head of every file.
+ */
+export default class FeedRecorder {
+    constructor({ dir, prefix = "feed", rotateMs = ROTATE_MS, headEvents = () => [] } = {}) {
+        if (!dir) {
+            throw new Error("FeedRecorder requires a target directory");
+        }
+
+        this.dir = dir;
+        this.prefix = prefix;
+        this.rotateMs = rotateMs;
+        this.headEvents = headEvents;
+        this.stream = null;
+        this.file = null;
+        this.periodStart = 0;
+        this.stickyEvents = new Map();
+
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    record(rawFrame, receivedAt) {
+        this._write(receivedAt, `{"t":${receivedAt},"frame":${rawFrame}}\n`);
+    }
+
+    /**
+     * Sticky events (the universe) are repeated at the head of every new
+     * file so that each file can be replayed on its own.
+     */
+    recordEvent(event, payload, { t = Date.now(), sticky = false } = {}) {
+        this._write(t, JSON.stringify({ t, event, ...payload }) + "\n");
+
+        if (sticky) {
+            this.stickyEvents.set(event, { t, payload });
+        }
+    }
+
+    _write(t, line) {
+        if (!this.stream || t - this.periodStart >= this.rotateMs) {
+            this._rotate(t);
+        }
+
+        this.stream.write(line);
+    }
+
+    _rotate(t) {
+        this._closeStream();
+
+        this.periodStart = Math.floor(t / this.rotateMs) * this.rotateMs;
+
+        const file = path.join(this.dir, `${this.prefix}-${fileStamp(this.periodStart)}.ndjson.gz`);
+        const gzip = zlib.createGzip();
+
+        this.file = gzip.pipe(fs.createWriteStream(file, { flags: "a" }));
+        gzip.on("error", (err) => console.error("[feedRecorder] write error", err.message));
+        this.stream = gzip;
+
+        for (const [event, { t: eventT, payload }] of this.stickyEvents) {
+            gzip.write(JSON.stringify({ t: eventT, event, ...payload }) + "\n");
+        }
+
+        for (const [event, payload] of this.headEvents(t)) {
+            gzip.write(JSON.stringify({ t, event, ...payload }) + "\n");
+        }
+
+        console.log(`[feedRecorder] Recording to ${file}`);
+    }
+
+    _closeStream() {
+        if (!this.stream) {
+            return Promise.resolve();
+        }
+
+        const stream = this.stream;
+        const file = this.file;
+        this.stream = null;
+        this.file = null;
+
+        // Done once the file itself is flushed, not just the gzip stream.
+        return new Promise(resolve => {
+            file.once("close", resolve);
+            stream.end();
+        });
+    }
+
+    close() {
+        return this._closeStream();
+    }
+}
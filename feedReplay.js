@@ -0,0 +1,89 @@
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import readline from "node:readline";
+
+export function listRecordings(dir) {
+    return fs.readdirSync(dir)
+        .filter(f => f.endsWith(".ndjson.gz"))
+        .sort()
+        .map(f => path.join(dir, f));
+}
+
+export async function* readRecording(files) {
+    for (const file of files) {
+        const rl = readline.createInterface({
+            input: fs.createReadStream(file).pipe(zlib.createGunzip()),
+            crlfDelay: Infinity
+        });
+
+        for await (const line of rl) {
+            if (!line) {
+                continue;
+            }
+
+            try {
+                yield JSON.parse(line);
+            } catch {
+                // A truncated last line is expected if the recorder was killed.
+            }
+        }
+    }
+}
+
+/**
+ * Feed a recording back through the adapter's translation into `onMessage`,
+ * exactly as Websockets would have emitted it. `speed` scales the original
+ * inter-frame timing (1 = real time, 10 = ten times faster, 0 = no pacing).
+ * `onTime` receives each entry's recorded receive time before it is
+ * dispatched: the engine clock of the live session, which saw exchange
+ * time only through the recorded `clockSkew` offset.
+ */
+export async function replayFeed({ dir, adapter, speed = 1, onMessage, onEvent = () => {}, onTime = () => {} }) {
+    const files = listRecordings(dir);
+
+    if (!files.length) {
+        throw new Error(`No recordings found in ${dir}`);
+    }
+
+    console.log(`[feedReplay] Replaying ${files.length} file(s) from ${dir} at ${speed > 0 ? `${speed}x` : "max speed"}`);
+
+    let firstT = null;
+    let wallStart = 0;
+    let frames = 0;
+    let messages = 0;
+
+    for await (const entry of readRecording(files)) {
+        if (firstT === null) {
+            firstT = entry.t;
+            wallStart = Date.now();
+        }
+
+        if (speed > 0) {
+            const due = wallStart + (entry.t - firstT) / speed;
+            const wait = due - Date.now();
+
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+        }
+
+        onTime(entry.t);
+
+        if (entry.event) {
+            onEvent(entry);
+            continue;
+        }
+
+        frames++;
+
+        for (const m of adapter.translate(entry.frame)) {
+            messages++;
+            onMessage(JSON.stringify(m));
+        }
+    }
+
+    console.log(`[feedReplay] Done: ${frames} frames, ${messages} messages.`);
+
+    return { frames, messages };
+}
@@ -0,0 +1,90 @@
+import params from "./parameters.js";
+
+// ---------------------------------------------------------------------
+// Gate checks shared by SymbolMonitor and the detectors. Every check of
+// a tick is evaluated (not just up to the first failure) so the funnel
+// can tell which gate stopped a tick and how close it came.
+//
+//   { gate, value, threshold, margin, pass }
+//
+// `margin` is the signed distance to the threshold relative to the
+// threshold: >= 0 passes, -0.05 missed by 5 %. Preconditions without a
+// threshold (warm-up, missing history, ...) carry margin null. Regime
+// bounds and sanity floors are threshold gates created with
+// `scored: false`: they sit far inside their bound most of the time, so
+// they would only pull the composite score towards its clip.
+// ---------------------------------------------------------------------
+
+const MAX_SCORED_MARGIN = 1;     // twice the threshold counts as full conviction
+
+/**
+ * Threshold check: "min" gates pass at value >= threshold, "max" gates at
+ * value <= threshold. `scored: false` keeps it out of the composite score.
+ */
+export function gate(name, value, kind, threshold, { scored = true } = {}) {
+    const scale = Math.abs(threshold) || 1;
+    const diff = kind === "min" ? value - threshold : threshold - value;
+    const margin = Number.isFinite(diff) ? diff / scale : -Infinity;
+
+    return { gate: name, value, threshold, margin, pass: margin >= 0, scored };
+}
+
+/**
+ * Yes/no precondition.
+ */
+export function condition(name, pass) {
+    return { gate: name, value: null, threshold: null, margin: null, pass, scored: false };
+}
+
+/**
+ * A detector's answer for one tick: the direction it would trade (null
+ * when it cannot tell), every gate it checked and its extra vector fields.
+ * `rejected`/`gate`/... mirror the first failed gate for quick inspection.
+ */
+export function verdict(direction, gates, fields = {}) {
+    const failed = gates.find(g => !g.pass);
+
+    return {
+        direction,
+        gates,
+        fields,
+        rejected: Boolean(failed),
+        ...(failed && { gate: failed.gate, value: failed.value, threshold: failed.threshold, margin: failed.margin })
+    };
+}
+
+/**
+ * Composite conviction of a set of gates: the mean of their margins,
+ * clipped to [-1, MAX_SCORED_MARGIN]. 0 means "on average exactly at the
+ * thresholds". Only trigger-strength gates score – not preconditions nor
+ * `scored: false` gates; null when nothing scores.
+ */
+export function compositeScore(gates) {
+    const scored = gates.filter(g => g.margin !== null && g.scored);
+
+    if (!scored.length) {
+        return null;
+    }
+
+    const sum = scored.reduce((s, g) => s + Math.max(-1, Math.min(MAX_SCORED_MARGIN, g.margin)), 0);
+    return sum / scored.length;
+}
+
+/**
+ * Highest grade of `params.SIGNAL_GRADES` the score reaches, or null.
+ */
+export function gradeFor(score, grades = params.SIGNAL_GRADES) {
+    if (score === null) {
+        return null;
+    }
+
+    let best = null;
+
+    for (const [grade, min] of Object.entries(grades)) {
+        if (score >= min && (best === null || min >= grades[best])) {
+            best = grade;
+        }
+    }
+
+    return best;
+}
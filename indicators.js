@@ -0,0 +1,184 @@
+// ---------------------------------------------------------------------
+// Bar-based technical indicators. Fed with closed 1 s bars from the price
+// tape (BarBuilder) and aggregated to several timeframes, so "RSI 14 on
+// 1 m" means fourteen minutes no matter how often the monitor ticks.
+//
+// Vector names are explicit: `tf<timeframe>_<indicator>`, e.g.
+// tf1m_rsi14, tf15s_ppoHist, tf5m_atr14Pct. A value stays null until its
+// timeframe has seen enough bars.
+// ---------------------------------------------------------------------
+
+export const TIMEFRAMES = [
+    { name: "1s", seconds: 1 },
+    { name: "15s", seconds: 15 },
+    { name: "1m", seconds: 60 },
+    { name: "5m", seconds: 300 }
+];
+
+const RSI_PERIOD = 14;
+const ATR_PERIOD = 14;
+const PPO_FAST = 12;
+const PPO_SLOW = 26;
+const PPO_SIGNAL = 9;
+const EMA_PERIODS = [9, 21, 50];
+const MAX_FILLED_BARS = 500;          // flat bars synthesised across a feed gap, at most
+
+function emaStep(prev, x, period) {
+    const alpha = 2 / (period + 1);
+    return prev === null ? x : alpha * x + (1 - alpha) * prev;
+}
+
+// Wilder smoothing seeded with the simple mean of the first `period` values.
+function wilderStep(state, x, period) {
+    state.count++;
+
+    if (state.count <= period) {
+        state.sum += x;
+        state.avg = state.count === period ? state.sum / period : null;
+    } else {
+        state.avg = (state.avg * (period - 1) + x) / period;
+    }
+}
+
+export class TimeframeIndicators {
+    constructor(seconds) {
+        this.seconds = seconds;
+        this.bucket = null;               // start (s) of the bar being built
+        this.bar = null;
+        this.nextBucket = null;           // start (s) of the bar after the last closed one
+        this.bars = 0;                    // closed bars so far
+        this.lastClose = null;
+
+        this.ema = Object.fromEntries(EMA_PERIODS.map(p => [p, null]));
+        this.emaFast = null;
+        this.emaSlow = null;
+        this.ppo = null;
+        this.ppoSignal = null;
+
+        this.gain = { count: 0, sum: 0, avg: null };
+        this.loss = { count: 0, sum: 0, avg: null };
+        this.tr   = { count: 0, sum: 0, avg: null };
+    }
+
+    /**
+     * Feed one closed 1 s bar `{ t (ms), open, high, low, close, volume }`;
+     * bars must arrive in time order. A timeframe bar closes with its last
+     * second, or when a later second shows up first.
+     */
+    onSecBar(bar) {
+        const sec = Math.floor(bar.t / 1000);
+        const bucket = sec - sec % this.seconds;
+
+        if (this.bar && bucket !== this.bucket) {
+            this._closeOpenBar();
+        }
+
+        // Whole timeframe bars without a single trade still count, as flat bars.
+        if (this.nextBucket !== null) {
+            const missing = Math.min(MAX_FILLED_BARS, (bucket - this.nextBucket) / this.seconds);
+            const c = this.lastClose;
+
+            for (let i = 0; i < missing; i++) {
+                this._close({ open: c, high: c, low: c, close: c, volume: 0 });
+            }
+        }
+
+        if (!this.bar) {
+            this.bucket = bucket;
+            this.bar = { open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: bar.volume };
+        } else {
+            this.bar.high = Math.max(this.bar.high, bar.high);
+            this.bar.low = Math.min(this.bar.low, bar.low);
+            this.bar.close = bar.close;
+            this.bar.volume += bar.volume;
+        }
+
+        if (sec === bucket + this.seconds - 1) {
+            this._closeOpenBar();
+        }
+    }
+
+    _closeOpenBar() {
+        this._close(this.bar);
+        this.nextBucket = this.bucket + this.seconds;
+        this.bar = null;
+    }
+
+    _close(bar) {
+        const close = bar.close;
+        this.bars++;
+
+        for (const p of EMA_PERIODS) {
+            this.ema[p] = emaStep(this.ema[p], close, p);
+        }
+
+        this.emaFast = emaStep(this.emaFast, close, PPO_FAST);
+        this.emaSlow = emaStep(this.emaSlow, close, PPO_SLOW);
+        this.ppo = this.emaSlow ? (this.emaFast - this.emaSlow) / this.emaSlow * 100 : 0;
+        this.ppoSignal = emaStep(this.ppoSignal, this.ppo, PPO_SIGNAL);
+
+        if (this.lastClose !== null) {
+            const change = close - this.lastClose;
+            wilderStep(this.gain, Math.max(0, change), RSI_PERIOD);
+            wilderStep(this.loss, Math.max(0, -change), RSI_PERIOD);
+
+            const tr = Math.max(bar.high - bar.low, Math.abs(bar.high - this.lastClose), Math.abs(bar.low - this.lastClose));
+            wilderStep(this.tr, tr, ATR_PERIOD);
+        }
+
+        this.lastClose = close;
+    }
+
+    rsi() {
+        if (this.gain.avg === null) return null;
+        if (this.loss.avg === 0) return this.gain.avg === 0 ? 50 : 100;
+        return 100 - 100 / (1 + this.gain.avg / this.loss.avg);
+    }
+
+    features(prefix) {
+        const ready = (n) => this.bars >= n;
+        const atr = this.tr.avg;
+
+        const out = {
+            [`${prefix}_bars`]: this.bars,
+            [`${prefix}_rsi${RSI_PERIOD}`]: this.rsi(),
+            [`${prefix}_ppo`]: ready(PPO_SLOW) ? this.ppo : null,
+            [`${prefix}_ppoSignal`]: ready(PPO_SLOW + PPO_SIGNAL) ? this.ppoSignal : null,
+            [`${prefix}_ppoHist`]: ready(PPO_SLOW + PPO_SIGNAL) ? this.ppo - this.ppoSignal : null,
+            [`${prefix}_atr${ATR_PERIOD}`]: atr,
+            [`${prefix}_atr${ATR_PERIOD}Pct`]: atr !== null && this.lastClose > 0 ? atr / this.lastClose : null,
+        };
+
+        for (const p of EMA_PERIODS) {
+            out[`${prefix}_ema${p}`] = ready(p) ? this.ema[p] : null;
+        }
+
+        return out;
+    }
+}
+
+/**
+ * The per-symbol set of timeframes.
+ */
+export default class MultiTimeframeIndicators {
+    constructor(timeframes = TIMEFRAMES) {
+        this.timeframes = timeframes.map(tf => ({ name: tf.name, indicators: new TimeframeIndicators(tf.seconds) }));
+        this.lastBarT = 0;
+    }
+
+    onSecBar(bar) {
+        if (!(bar.close > 0) || bar.t <= this.lastBarT) {
+            return;
+        }
+
+        this.lastBarT = bar.t;
+
+        for (const tf of this.timeframes) {
+            tf.indicators.onSecBar(bar);
+        }
+    }
+
+    features() {
+        return Object.assign({}, ...this.timeframes.map(tf => tf.indicators.features(`tf${tf.name}`)));
+    }
+}
@@ -0,0 +1,182 @@
+import params from "./parameters.js";
+
+// ---------------------------------------------------------------------
+// Outcome labels of a signal, computed from the 1 s bars of the price
+// tape (oldest first). Kept free of I/O so offline tooling can compute
+// the same labels the price worker stores.
+//
+// Triple barrier: a take-profit and a stop-loss barrier around the entry
+// price and a time barrier. Barrier distances scale with the volatility
+// at signal time – the 1 s ATR (EWMA with ATR_ALPHA over the
+// ATR_PERIOD_SECONDS before the signal, as a fraction of price) – and
+// with the square root of the horizon:
+//
+//   distance = multiple × ATR% × √horizon_s
+//
+// Barriers are direction-aware: for a short the take profit lies below
+// the entry. A bar that touches both barriers counts as a stop-loss hit
+// (the order inside the second is unknown) and is flagged `ambiguous`.
+//
+// Excursions (MFE / MAE) use bar highs and lows, and net returns subtract
+// the estimated round-trip cost of the signal's trade: taker fee plus
+// slippage (half the spread and a depth impact) on entry and on exit.
+// ---------------------------------------------------------------------
+
+/**
+ * 1 s ATR at signal time from the bars before it, as a fraction of the
+ * last close; null without bars.
+ */
+export function atrPctBefore(bars, alpha = params.ATR_ALPHA) {
+    let atr = null;
+    let prevClose = null;
+
+    for (const bar of bars) {
+        const tr = prevClose === null
+            ? bar.high - bar.low
+            : Math.max(bar.high - bar.low, Math.abs(bar.high - prevClose), Math.abs(bar.low - prevClose));
+
+        atr = atr === null ? tr : alpha * tr + (1 - alpha) * atr;
+        prevClose = bar.close;
+    }
+
+    return atr !== null && prevClose > 0 ? atr / prevClose : null;
+}
+
+/**
+ * One barrier configuration `{ id, tp, sl, horizonS }` applied to the
+ * bars after the signal. Returns the barrier levels, the outcome
+ * ("tp" | "sl" | "timeout"), its label (+1 / -1 / 0), the seconds to the
+ * hit and the exit return in the signal's favour.
+ */
+export function tripleBarrier(bars, { startMs, entryPrice, direction, atrPct }, config) {
+    const dirSign = direction === "short" ? -1 : 1;
+    const scale = atrPct * Math.sqrt(config.horizonS);
+    const tpPct = config.tp * scale;
+    const slPct = config.sl * scale;
+    const tpPrice = entryPrice * (1 + dirSign * tpPct);
+    const slPrice = entryPrice * (1 - dirSign * slPct);
+    const endMs = startMs + config.horizonS * 1000;
+
+    const result = {
+        id: config.id,
+        tp_mult: config.tp,
+        sl_mult: config.sl,
+        horizon_s: config.horizonS,
+        tp_pct: tpPct,
+        sl_pct: slPct,
+        outcome: "timeout",
+        label: 0,
+        hit_s: null,
+        exit_price: null,
+        exit_ret_dir: null,
+        ambiguous: false
+    };
+
+    let last = null;
+
+    for (const bar of bars) {
+        if (bar.t < startMs) continue;
+        if (bar.t >= endMs) break;
+
+        const favourable = dirSign > 0 ? bar.high >= tpPrice : bar.low <= tpPrice;
+        const adverse = dirSign > 0 ? bar.low <= slPrice : bar.high >= slPrice;
+
+        if (adverse || favourable) {
+            result.outcome = adverse ? "sl" : "tp";
+            result.label = adverse ? -1 : 1;
+            result.hit_s = (bar.t - startMs) / 1000;
+            result.exit_price = adverse ? slPrice : tpPrice;
+            result.exit_ret_dir = adverse ? -slPct : tpPct;
+            result.ambiguous = adverse && favourable;
+            return result;
+        }
+
+        last = bar;
+    }
+
+    if (last) {
+        result.exit_price = last.close;
+        result.exit_ret_dir = dirSign * (last.close / entryPrice - 1);
+    }
+
+    return result;
+}
+
+/**
+ * Every configured barrier set for one signal; null when there is no
+ * volatility estimate or entry price to scale the barriers with.
+ */
+export function tripleBarrierLabels(bars, signal, configs = params.TRIPLE_BARRIERS) {
+    if (!(signal.atrPct > 0) || !(signal.entryPrice > 0)) {
+        return null;
+    }
+
+    return configs.map(config => tripleBarrier(bars, signal, config));
+}
+
+/**
+ * Maximum favourable and adverse excursion after the signal, as returns
+ * in the signal's favour (MFE the highest, MAE the lowest), with the
+ * seconds after the signal at which each was reached.
+ */
+export function excursions(bars, { startMs, entryPrice, direction }) {
+    const out = { mfe_ret_dir: null, mfe_s: null, mae_ret_dir: null, mae_s: null };
+
+    if (!(entryPrice > 0)) {
+        return out;
+    }
+
+    for (const bar of bars) {
+        if (bar.t < startMs) continue;
+
+        const up = bar.high / entryPrice - 1;
+        const down = bar.low / entryPrice - 1;
+        const best = direction === "short" ? -down : up;
+        const worst = direction === "short" ? -up : down;
+        const s = (bar.t - startMs) / 1000;
+
+        if (out.mfe_ret_dir === null || best > out.mfe_ret_dir) {
+            out.mfe_ret_dir = best;
+            out.mfe_s = s;
+        }
+        if (out.mae_ret_dir === null || worst < out.mae_ret_dir) {
+            out.mae_ret_dir = worst;
+            out.mae_s = s;
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Estimated cost of one side of the signal's trade, from the signal
+ * vector (spreadBps, depth5 volumes, trigger price): taker fee, half the
+ * spread, and LABEL_DEPTH_IMPACT_BPS scaled by the share of the top-5
+ * depth the order takes (capped at the whole side). Null without a
+ * spread.
+ */
+export function sideCostBps(signal, direction, {
+    feeBps = params.LABEL_TAKER_FEE_BPS,
+    tradeSizeUsd = params.EXPECTED_TRADE_SIZE_USD,
+    impactBps = params.LABEL_DEPTH_IMPACT_BPS
+} = {}) {
+    if (!Number.isFinite(signal?.spreadBps)) {
+        return null;
+    }
+
+    // A long buys into the asks, a short sells into the bids.
+    const depth = direction === "short" ? signal.depth5BidVolume : signal.depth5AskVolume;
+    const depthUsd = depth * signal.triggerPrice;
+    const taken = depthUsd > 0 ? Math.min(1, tradeSizeUsd / depthUsd) : 1;
+
+    return feeBps + signal.spreadBps / 2 + impactBps * taken;
+}
+
+/**
+ * Round-trip cost as a fraction of price; exit costs are assumed equal
+ * to entry costs (the book at exit time is unknown).
+ */
+export function roundTripCost(signal, direction, opts) {
+    const side = sideCostBps(signal, direction, opts);
+    return side === null ? null : 2 * side / 1e4;
+}
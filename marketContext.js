@@ -0,0 +1,108 @@
+import exchange from "./exchange.js";
+import params from "./parameters.js";
+
+// ---------------------------------------------------------------------
+// Market-wide context, recomputed once per check tick from every monitor
+// before the monitors check for signals: the BTC / ETH regime (slope,
+// volatility, last-minute return) and cross-sectional breadth (share of
+// symbols with a volume spike or a strong move, median taker imbalance).
+// A spike on forty alts at once because BTC moved looks very different
+// here from an idiosyncratic one.
+// ---------------------------------------------------------------------
+
+const REFERENCE_BASES = ["BTC", "ETH"];
+const QUOTE_ASSET = "USDT";
+const MAX_CONTEXT_AGE_MS = 2_000;     // older context is treated as missing
+
+let context = null;
+
+function median(values) {
+    if (!values.length) {
+        return null;
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * The reference pairs every universe must contain, in pair-selector shape.
+ */
+export function referencePairs() {
+    return REFERENCE_BASES.map(base => ({ symbol: exchange.formatPair(base, QUOTE_ASSET), tier: "mega" }));
+}
+
+/**
+ * `pairs` plus any reference pair it is missing.
+ */
+export function withReferencePairs(pairs) {
+    const have = new Set(pairs.map(p => p.symbol));
+    return [...pairs, ...referencePairs().filter(p => !have.has(p.symbol))];
+}
+
+export function updateMarketContext(monitors, now) {
+    const stats = [];
+
+    for (const monitor of monitors) {
+        const s = monitor.getContextStats(now);
+
+        if (s) {
+            stats.push(s);
+        }
+    }
+
+    const bySymbol = new Map(stats.map(s => [s.symbol, s]));
+    const share = (pred) => stats.length ? stats.filter(pred).length / stats.length : null;
+    const flowing = stats.filter(s => s.takerFlowMagnitude > 0).map(s => s.takerFlowImbalance);
+
+    context = {
+        at: now,
+        symbols: stats.length,
+        reference: Object.fromEntries(REFERENCE_BASES.map(base => [base, bySymbol.get(exchange.formatPair(base, QUOTE_ASSET)) ?? null])),
+        breadthSpiking: share(s => s.volumeRatioFast1m >= params.MARKET_SPIKE_VOLUME_RATIO),
+        breadthUp: share(s => s.slopeZ >= params.MARKET_MOVE_SLOPE_Z),
+        breadthDown: share(s => s.slopeZ <= -params.MARKET_MOVE_SLOPE_Z),
+        medianTakerImbalance: median(flowing)
+    };
+
+    return context;
+}
+
+/**
+ * The latest context, or null when none was computed recently.
+ */
+export function getMarketContext(now) {
+    if (!context || now - context.at > MAX_CONTEXT_AGE_MS) {
+        return null;
+    }
+
+    return context;
+}
+
+/**
+ * Flat vector fields (`mkt*`) of a context; all null without one.
+ */
+export function marketFeatures(ctx) {
+    const out = {
+        mktSymbols: ctx?.symbols ?? null,
+        mktBreadthSpiking: ctx?.breadthSpiking ?? null,
+        mktBreadthUp: ctx?.breadthUp ?? null,
+        mktBreadthDown: ctx?.breadthDown ?? null,
+        mktMedianTakerImbalance: ctx?.medianTakerImbalance ?? null,
+    };
+
+    for (const base of REFERENCE_BASES) {
+        const name = base[0] + base.slice(1).toLowerCase();
+        const ref = ctx?.reference[base] ?? null;
+
+        out[`mkt${name}Slope`] = ref?.slope ?? null;
+        out[`mkt${name}SlopeZ`] = ref?.slopeZ ?? null;
+        out[`mkt${name}Vol30s`] = ref?.volatility30s ?? null;
+        out[`mkt${name}VolRatio`] = ref?.volatilityRatio ?? null;
+        out[`mkt${name}Ret60s`] = ref?.return60s ?? null;
+    }
+
+    return out;
+}
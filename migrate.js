@@ -0,0 +1,279 @@
+import IORedis from "ioredis";
+import { fileURLToPath } from "node:url";
+import mongo from "./mongo.js";
+import { SCHEMAS, validateDocument } from "./schema.js";
+import { initPriceTape } from "./priceTape.js";
+import { buildPriceDocument } from "./outcomes.js";
+
+// ---------------------------------------------------------------------
+// Upgrades stored documents to the current schema (schema.js), so that
+// training sets read one layout no matter when a signal was recorded.
+//
+//   node migrate.js [--dry-run] [signals|prices|orderbooks ...]
+//
+// Documents without `schemaVersion` are version 0. Every step upgrades
+// one version; a document runs through all steps it is behind on and is
+// then checked against the schema. A dry run reports what would change
+// without writing.
+// ---------------------------------------------------------------------
+
+const BATCH_SIZE = 500;
+const redis = new IORedis({ maxRetriesPerRequest: null, lazyConnect: true });
+const MAX_REPORTED_PROBLEMS = 10;
+
+// Deprecated signal fields and the field they duplicated.
+const SIGNAL_ALIASES = {
+    realisedVolFast: "volatility30s",
+    realisedVolMedium: "volatility5m",
+    explosiveRatio: "volatilityRatio",
+    volatilityExpansionRatio: "volatilityRatio"
+};
+
+function upgradeSignalV0(doc) {
+    const out = { ...doc };
+
+    for (const [alias, field] of Object.entries(SIGNAL_ALIASES)) {
+        if (out[field] === undefined && out[alias] !== undefined) {
+            out[field] = out[alias];
+        }
+
+        delete out[alias];
+    }
+
+    out.direction ??= "long";                 // recorded before short signals existed
+    out.detectorId ??= "volume_momentum";     // recorded before detectors were pluggable
+    return out;
+}
+
+function upgradePricesV0(doc, ctx) {
+    const signal = ctx.signals.get(String(doc.signal_id));
+    const direction = doc.direction ?? signal?.direction ?? "long";
+    const entryPrice = doc.entry_price ?? signal?.triggerPrice ?? null;
+    const dirSign = direction === "short" ? -1 : 1;
+
+    const prices = (doc.prices ?? []).map(row => {
+        const ret = row.ret ?? (Number.isFinite(row.price) && entryPrice > 0 ? row.price / entryPrice - 1 : null);
+        return { ...row, ret, ret_dir: row.ret_dir ?? (ret !== null ? ret * dirSign : null) };
+    });
+
+    return { ...doc, direction, entry_price: entryPrice, prices };
+}
+
+// Outcome labels are rebuilt from the tape, which keeps 45 days of bars.
+// Older documents keep their raw rows and stay unlabelled.
+function upgradePricesV1(doc, ctx) {
+    const rebuilt = ctx.rebuilt.get(String(doc._id));
+
+    if (!rebuilt) {
+        return doc;
+    }
+
+    return { ...rebuilt, _id: doc._id, signal_id: doc.signal_id, symbol: doc.symbol, exchange: doc.exchange ?? rebuilt.exchange };
+}
+
+// Raw token sums get explicit unit names; the raw imbalance equals the
+// USDT one (the mid price cancels out) and is dropped.
+function upgradeOrderbookV0(doc) {
+    const snapshots = (doc.snapshots ?? []).map(({ bid_sum, ask_sum, imbalance, ...snapshot }) => ({
+        ...snapshot,
+        bid_sum_base: snapshot.bid_sum_base ?? bid_sum ?? null,
+        ask_sum_base: snapshot.ask_sum_base ?? ask_sum ?? null,
+        imbalance_usdt: snapshot.imbalance_usdt ?? imbalance ?? null
+    }));
+
+    return { ...doc, snapshots };
+}
+
+// Snapshots before the stream capture all came from REST. Their
+// microprice needs best-level sizes that were never stored, and the
+// trajectory cannot be rebuilt (captured frames expire after 30 min).
+function upgradeOrderbookV1(doc) {
+    const snapshots = (doc.snapshots ?? []).map(snapshot => ({ ...snapshot, source: snapshot.source ?? "rest" }));
+    return { ...doc, snapshots };
+}
+
+// Signals referenced by a batch of price documents.
+async function loadSignals(docs) {
+    const ids = docs.map(doc => doc.signal_id).filter(Boolean);
+    const signals = await mongo.getCollection("signals")
+        .find({ _id: { $in: ids } }, { projection: { symbol: 1, signalTimestampMs: 1, direction: 1, triggerPrice: 1 } })
+        .toArray();
+
+    return { signals: new Map(signals.map(s => [String(s._id), s])) };
+}
+
+// Linked signals, and the price documents rebuilt from the tape for those
+// whose window it still holds (same direction and entry as stored).
+async function preparePrices(docs) {
+    const { signals } = await loadSignals(docs);
+    const rebuilt = new Map();
+
+    for (const doc of docs) {
+        const signal = signals.get(String(doc.signal_id));
+
+        if (!signal?.symbol || !Number.isFinite(signal.signalTimestampMs)) {
+            continue;
+        }
+
+        const fresh = await buildPriceDocument({
+            id: String(doc.signal_id),
+            symbol: signal.symbol,
+            timestamp: signal.signalTimestampMs,
+            direction: doc.direction ?? signal.direction ?? "long",
+            triggerPrice: doc.entry_price ?? signal.triggerPrice
+        }, redis);
+
+        if (fresh.prices.some(row => row.price !== null)) {
+            rebuilt.set(String(doc._id), fresh);
+        }
+    }
+
+    return { signals, rebuilt };
+}
+
+/**
+ * Per collection: `steps[n]` upgrades a version-n document to n + 1,
+ * `prepare` loads what the steps need for a batch, and `guard` narrows
+ * the write to a document that did not change meanwhile (orderbooks keep
+ * receiving snapshots).
+ */
+const MIGRATIONS = {
+    signals: {
+        steps: [upgradeSignalV0]
+    },
+    prices: {
+        steps: [upgradePricesV0, upgradePricesV1],
+        prepare: preparePrices
+    },
+    orderbooks: {
+        steps: [upgradeOrderbookV0, upgradeOrderbookV1],
+        guard: doc => ({ snapshots: { $size: doc.snapshots?.length ?? 0 } })
+    }
+};
+
+/**
+ * Run one document through every step it is behind on. `ctx` is what the
+ * collection's `prepare` loaded for the document's batch.
+ */
+export function upgradeDocument(name, doc, ctx = {}) {
+    const { version } = SCHEMAS[name];
+    const { steps } = MIGRATIONS[name];
+    let upgraded = doc;
+
+    for (let v = doc.schemaVersion ?? 0; v < version; v++) {
+        upgraded = { ...steps[v](upgraded, ctx), schemaVersion: v + 1 };
+    }
+
+    return upgraded;
+}
+
+function versionFilter(version) {
+    return version === 0 ? { schemaVersion: { $exists: false } } : { schemaVersion: version };
+}
+
+async function migrateCollection(name, { dryRun }) {
+    const { version } = SCHEMAS[name];
+    const { steps, prepare, guard } = MIGRATIONS[name];
+
+    if (steps.length !== version) {
+        throw new Error(`${name}: ${steps.length} migration step(s) for schema version ${version}`);
+    }
+
+    const collection = mongo.getCollection(name);
+    const cursor = collection
+        .find({ $or: [{ schemaVersion: { $exists: false } }, { schemaVersion: { $lt: version } }] })
+        .sort({ _id: 1 })
+        .batchSize(BATCH_SIZE);
+
+    const stats = { seen: 0, upgraded: 0, changedMeanwhile: 0, invalid: 0 };
+    const problems = new Set();
+    let batch = [];
+
+    const flush = async () => {
+        if (!batch.length) {
+            return;
+        }
+
+        const ctx = prepare ? await prepare(batch) : {};
+        const writes = [];
+
+        for (const doc of batch) {
+            const from = doc.schemaVersion ?? 0;
+            const upgraded = upgradeDocument(name, doc, ctx);
+            const issues = validateDocument(name, upgraded);
+
+            if (issues.length) {
+                stats.invalid++;
+                for (const issue of issues) {
+                    if (problems.size < MAX_REPORTED_PROBLEMS) problems.add(issue);
+                }
+            }
+
+            writes.push({
+                replaceOne: {
+                    filter: { _id: doc._id, ...versionFilter(from), ...(guard?.(doc) ?? {}) },
+                    replacement: upgraded
+                }
+            });
+        }
+
+        if (!dryRun) {
+            const result = await collection.bulkWrite(writes, { ordered: false });
+            stats.upgraded += result.modifiedCount;
+            stats.changedMeanwhile += writes.length - result.matchedCount;
+        }
+
+        batch = [];
+    };
+
+    for await (const doc of cursor) {
+        stats.seen++;
+        batch.push(doc);
+
+        if (batch.length >= BATCH_SIZE) {
+            await flush();
+        }
+    }
+
+    await flush();
+
+    console.log(`[migrate] ${name}: ${stats.seen} document(s) behind version ${version}` +
+        (dryRun ? "" : `, ${stats.upgraded} upgraded, ${stats.changedMeanwhile} changed meanwhile (re-run)`) +
+        `, ${stats.invalid} still invalid`);
+
+    for (const problem of problems) {
+        console.log(`[migrate]   ${name} – ${problem}`);
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes("--dry-run");
+    const names = args.filter(a => !a.startsWith("--"));
+    const unknown = names.filter(n => !MIGRATIONS[n]);
+
+    if (unknown.length) {
+        throw new Error(`Unknown collection(s): ${unknown.join(", ")} (expected ${Object.keys(MIGRATIONS).join(", ")})`);
+    }
+
+    await mongo.connect();
+    await redis.connect();
+    initPriceTape(redis, { persist: false });
+
+    try {
+        for (const name of names.length ? names : Object.keys(MIGRATIONS)) {
+            await migrateCollection(name, { dryRun });
+        }
+    } finally {
+        await mongo.client.close();
+        redis.disconnect();
+    }
+}
+
+// Run as a script only; imported (by the tests) it just provides the steps.
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch(err => {
+        console.error("[migrate] Failed:", err.message);
+        process.exitCode = 1;
+    });
+}
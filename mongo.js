@@ -9,6 +9,15 @@ async function connect() {
         return;
     }
 
+    // Several modules may ask for the connection while it is being opened.
+    mongo.connecting ??= open().finally(() => {
+        mongo.connecting = null;
+    });
+
+    return mongo.connecting;
+}
+
+async function open() {
     const client = await MongoClient.connect("mongodb://127.0.0.1:27017/cryptana", {
         maxPoolSize: 10
     });
@@ -18,7 +27,7 @@ async function connect() {
     mongo.client = client;
     mongo.db = db;
 
-    const requiredCollections = ["signals", "prices", "orderbooks"];
+    const requiredCollections = ["signals", "prices", "orderbooks", "funnel", "near_misses", "episodes"];
     const existingColls = await db.listCollections().toArray();
     const existingNames = existingColls.map(coll => coll.name);
 
@@ -0,0 +1,105 @@
+import IORedis from "ioredis";
+import exchange from "./exchange.js";
+import params from "./parameters.js";
+import clock from "./clock.js";
+import { getSecBars } from "./priceTape.js";
+import { getClockOffsetMs } from "./feedLatency.js";
+
+// ---------------------------------------------------------------------
+// Warm-state persistence for SymbolMonitor. One JSON snapshot per symbol
+// under `<exchange>:monitor:<symbol>`, written periodically and on
+// shutdown, read back when a monitor is created. Which fields are kept,
+// and how old each may be, is SymbolMonitor's business (toWarmState /
+// restoreWarmState). Without a usable snapshot a monitor can still be
+// seeded from the stored 1 s bars of the price tape, which also warm the
+// bar-based indicators either way.
+// ---------------------------------------------------------------------
+
+const REDIS_KEY_PREFIX = `${exchange.id}:monitor:`;
+const SNAPSHOT_VERSION = 1;
+
+let _redis = null;
+
+export function initMonitorState(redisInstance) {
+    if (!redisInstance || !(redisInstance instanceof IORedis)) {
+        throw new Error("initMonitorState() requires an ioredis instance");
+    }
+
+    _redis = redisInstance;
+}
+
+function requireRedis() {
+    if (!_redis) {
+        throw new Error("Monitor state not initialised – call initMonitorState()");
+    }
+
+    return _redis;
+}
+
+export async function saveMonitorStates(monitors, now = clock.now()) {
+    const pipeline = requireRedis().pipeline();
+
+    for (const monitor of monitors) {
+        const snapshot = {
+            v: SNAPSHOT_VERSION,
+            savedAt: now,
+            fields: monitor.toWarmState()
+        };
+
+        pipeline.set(REDIS_KEY_PREFIX + monitor.symbol, JSON.stringify(snapshot), "PX", params.WARM_STATE_MAX_AGE_MS);
+    }
+
+    await pipeline.exec();
+}
+
+/**
+ * Restore one monitor from its snapshot when there is a usable one.
+ * Returns the restored field names (empty when nothing was restored).
+ */
+export async function restoreMonitorState(monitor, now = clock.now()) {
+    const raw = await requireRedis().get(REDIS_KEY_PREFIX + monitor.symbol);
+
+    if (!raw) {
+        return [];
+    }
+
+    let snapshot;
+
+    try {
+        snapshot = JSON.parse(raw);
+    } catch {
+        console.warn(`[warmState] ${monitor.symbol} snapshot is not valid JSON – ignoring`);
+        return [];
+    }
+
+    const ageMs = now - snapshot.savedAt;
+
+    if (snapshot.v !== SNAPSHOT_VERSION || !(ageMs >= 0) || ageMs > params.WARM_STATE_MAX_AGE_MS) {
+        return [];
+    }
+
+    return monitor.restoreWarmState(snapshot.fields ?? {}, ageMs);
+}
+
+/**
+ * Seed one monitor from its price tape: the bar-based indicators from the
+ * last INDICATOR_WARM_UP_MINUTES, and – with `seedTicks` – the tick state
+ * from the last WARM_UP_BARS_MINUTES. Returns the number of bars used for
+ * the tick state.
+ */
+export async function warmUpFromTape(monitor, now = clock.now(), { seedTicks = true } = {}) {
+    const endMs = now + getClockOffsetMs();          // the tape is keyed by exchange time
+    const minutes = Math.max(params.WARM_UP_BARS_MINUTES, params.INDICATOR_WARM_UP_MINUTES);
+    const bars = await getSecBars(monitor.symbol, endMs - minutes * 60_000, endMs);
+
+    for (const bar of bars) {
+        monitor.onSecBar(bar);
+    }
+
+    if (!seedTicks) {
+        return 0;
+    }
+
+    const tickFrom = endMs - params.WARM_UP_BARS_MINUTES * 60_000;
+    return monitor.warmUpFromBars(bars.filter(bar => bar.t >= tickFrom));
+}
@@ -0,0 +1,334 @@
+import exchange from "./exchange.js";
+import params from "./parameters.js";
+
+const MAX_BUFFERED_DIFFS = 2_000;
+
+function sortLevels(map, descending) {
+    const levels = [...map.entries()];
+    levels.sort((a, b) => descending ? b[0] - a[0] : a[0] - b[0]);
+    return levels;
+}
+
+/**
+ * Local L2 book maintained from the exchange diff stream (`depth@100ms`).
+ *
+ * Diffs carry first/last update ids (U/u). The book is seeded from a REST
+ * snapshot carrying `lastUpdateId`; diffs with u <= lastUpdateId are
+ * dropped, the first applied diff – buffered or live – must straddle
+ * lastUpdateId + 1 and every later diff must start exactly at the previous
+ * u + 1. Any break in that
+ * sequence throws the book away and triggers a fresh snapshot.
+ */
+export default class LocalOrderBook {
+    constructor(symbol, opts = {}) {
+        this.symbol = symbol;
+        this.depth = opts.depth ?? params.ORDER_BOOK_DEPTH;
+        this.adapter = opts.adapter ?? exchange;
+        this.fetchSnapshots = opts.fetchSnapshots ?? true;
+        this.onSnapshot = opts.onSnapshot ?? null;
+
+        this.bids = new Map();
+        this.asks = new Map();
+        this.lastUpdateId = 0;
+        this.firstDiffPending = false;    // no diff applied since the snapshot
+        this.state = "unsynced";          // unsynced | syncing | synced
+        this.buffer = [];
+        this.resyncTimer = null;
+        this.closed = false;
+        this.resyncCount = 0;
+        this.lastUpdateTime = 0;
+
+        this._sortedBids = null;
+        this._sortedAsks = null;
+    }
+
+    isSynced() {
+        return this.state === "synced";
+    }
+
+    /**
+     * The book in the shape `applySnapshot` takes, or null while unsynced.
+     * Every held level is included, so a book seeded from it is identical.
+     */
+    snapshot() {
+        if (!this.isSynced()) {
+            return null;
+        }
+
+        return {
+            lastUpdateId: this.lastUpdateId,
+            bids: sortLevels(this.bids, true),
+            asks: sortLevels(this.asks, false)
+        };
+    }
+
+    onDiff(diff) {
+        if (this.closed) {
+            return;
+        }
+
+        if (this.state !== "synced") {
+            this.buffer.push(diff);
+
+            if (this.buffer.length > MAX_BUFFERED_DIFFS) {
+                this.buffer.shift();
+            }
+
+            if (this.state === "unsynced" && this.fetchSnapshots && !this.resyncTimer) {
+                this._resync();
+            }
+
+            return;
+        }
+
+        if (diff.u <= this.lastUpdateId) {
+            return;
+        }
+
+        // Right after a snapshot the next diff may straddle its id.
+        const continues = this.firstDiffPending ? diff.U <= this.lastUpdateId + 1 : diff.U === this.lastUpdateId + 1;
+
+        if (!continues) {
+            console.warn(`[orderBook] ${this.symbol} sequence gap (expected ${this.lastUpdateId + 1}, got ${diff.U}) – resyncing`);
+            this._invalidate();
+            this.buffer.push(diff);
+
+            // In replay the snapshot arrives as a recorded event instead.
+            if (this.fetchSnapshots) {
+                this._resync();
+            }
+            return;
+        }
+
+        this._applyDiff(diff);
+    }
+
+    /**
+     * Seed the book from a REST snapshot and replay the buffered diffs on
+     * top of it. Returns false when the snapshot is older than the oldest
+     * buffered diff and a newer one is needed.
+     */
+    applySnapshot(snapshot) {
+        this.bids.clear();
+        this.asks.clear();
+
+        for (const [p, q] of snapshot.bids) {
+            this._setLevel(this.bids, p, q);
+        }
+
+        for (const [p, q] of snapshot.asks) {
+            this._setLevel(this.asks, p, q);
+        }
+
+        this.lastUpdateId = Number(snapshot.lastUpdateId);
+        this.firstDiffPending = true;
+        this._touch();
+
+        const pending = this.buffer.filter(d => d.u > this.lastUpdateId);
+        this.buffer = [];
+
+        if (pending.length && pending[0].U > this.lastUpdateId + 1) {
+            this.buffer = pending;
+            this.state = "unsynced";
+            return false;
+        }
+
+        this.state = "synced";
+
+        for (const diff of pending) {
+            if (diff.U > this.lastUpdateId + 1) {
+                this._invalidate();
+                this.buffer = pending.slice(pending.indexOf(diff));
+                return false;
+            }
+
+            this._applyDiff(diff);
+        }
+
+        return true;
+    }
+
+    async _resync() {
+        if (this.state === "syncing" || this.closed) {
+            return;
+        }
+
+        this.state = "syncing";
+
+        try {
+            const snapshot = await this.adapter.fetchOrderBook(this.symbol, this.depth);
+
+            if (this.closed) {
+                return;
+            }
+
+            if (this.onSnapshot) {
+                this.onSnapshot(snapshot);
+            }
+
+            this.resyncCount++;
+
+            if (this.applySnapshot(snapshot)) {
+                return;
+            }
+        } catch (err) {
+            console.error(`[orderBook] ${this.symbol} snapshot failed`, err.message);
+            this.state = "unsynced";
+        }
+
+        this._scheduleResync();
+    }
+
+    _scheduleResync() {
+        if (this.resyncTimer || this.closed || !this.fetchSnapshots) {
+            return;
+        }
+
+        this.state = "unsynced";
+        this.resyncTimer = setTimeout(() => {
+            this.resyncTimer = null;
+            this._resync();
+        }, params.ORDER_BOOK_RESYNC_BACKOFF_MS);
+    }
+
+    _invalidate() {
+        this.state = "unsynced";
+        this.bids.clear();
+        this.asks.clear();
+        this.lastUpdateId = 0;
+        this._touch();
+    }
+
+    _applyDiff(diff) {
+        for (const [p, q] of diff.b) {
+            this._setLevel(this.bids, p, q);
+        }
+
+        for (const [p, q] of diff.a) {
+            this._setLevel(this.asks, p, q);
+        }
+
+        this.lastUpdateId = diff.u;
+        this.firstDiffPending = false;
+        this.lastUpdateTime = diff.E ?? this.lastUpdateTime;
+        this._touch();
+
+        if (this.bids.size > this.depth * 4) {
+            this._prune(this.bids, true);
+        }
+
+        if (this.asks.size > this.depth * 4) {
+            this._prune(this.asks, false);
+        }
+    }
+
+    // Far levels only ever grow from diffs; keep a margin beyond the
+    // tracked depth and drop the rest.
+    _prune(side, descending) {
+        for (const [price] of sortLevels(side, descending).slice(this.depth * 2)) {
+            side.delete(price);
+        }
+    }
+
+    _setLevel(side, price, qty) {
+        const p = Number(price);
+        const q = Number(qty);
+
+        if (q === 0) {
+            side.delete(p);
+        } else {
+            side.set(p, q);
+        }
+    }
+
+    _touch() {
+        this._sortedBids = null;
+        this._sortedAsks = null;
+    }
+
+    /**
+     * Best `n` levels of one side as [price, qty] pairs, capped at the
+     * configured depth – levels beyond the snapshot depth are not reliable.
+     */
+    levels(side, n = this.depth) {
+        if (side === "bids") {
+            this._sortedBids ??= sortLevels(this.bids, true);
+            return this._sortedBids.slice(0, Math.min(n, this.depth));
+        }
+
+        this._sortedAsks ??= sortLevels(this.asks, false);
+        return this._sortedAsks.slice(0, Math.min(n, this.depth));
+    }
+
+    /**
+     * Walk one side until `notional` (quote currency) is filled. Use "asks"
+     * for a buy and "bids" for a sell.
+     */
+    depthForNotional(side, notional) {
+        const levels = this.levels(side);
+        const result = { filled: false, levelsUsed: 0, avgPrice: 0, worstPrice: 0, slippageBps: Infinity, availableNotional: 0 };
+
+        if (!levels.length) {
+            return result;
+        }
+
+        const bestPrice = levels[0][0];
+        let remaining = notional;
+        let qtyFilled = 0;
+        let spent = 0;
+
+        for (const [price, qty] of levels) {
+            const levelNotional = price * qty;
+            const take = Math.min(levelNotional, remaining);
+
+            spent += take;
+            qtyFilled += take / price;
+            remaining -= take;
+            result.levelsUsed++;
+            result.worstPrice = price;
+
+            if (remaining <= 0) {
+                break;
+            }
+        }
+
+        result.filled = remaining <= 0;
+        result.availableNotional = spent;
+        result.avgPrice = qtyFilled > 0 ? spent / qtyFilled : 0;
+        result.slippageBps = result.avgPrice > 0 ? Math.abs(result.avgPrice - bestPrice) / bestPrice * 1e4 : Infinity;
+
+        return result;
+    }
+
+    /**
+     * Quote notional resting within `bps` of the best price on one side.
+     */
+    notionalWithinBps(side, bps) {
+        const levels = this.levels(side);
+
+        if (!levels.length) {
+            return 0;
+        }
+
+        const bestPrice = levels[0][0];
+        const limit = side === "bids" ? bestPrice * (1 - bps / 1e4) : bestPrice * (1 + bps / 1e4);
+        let total = 0;
+
+        for (const [price, qty] of levels) {
+            if (side === "bids" ? price < limit : price > limit) {
+                break;
+            }
+
+            total += price * qty;
+        }
+
+        return total;
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.resyncTimer);
+        this.resyncTimer = null;
+        this.buffer = [];
+    }
+}
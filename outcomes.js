@@ -0,0 +1,154 @@
+import { ObjectId } from "mongodb";
+import mongo from "./mongo.js";
+import exchange from "./exchange.js";
+import { getSecBars } from "./priceTape.js";
+import { schemaVersion } from "./schema.js";
+import { atrPctBefore, tripleBarrierLabels, excursions, roundTripCost } from "./labels.js";
+import params from "./parameters.js";
+import { BENCHMARK_PAIR, loadUniverse, offsetReturns, estimateBeta, basketReturns } from "./benchmarks.js";
+
+// ---------------------------------------------------------------------
+// Price outcome of a signal: the `prices` document the price worker
+// stores 31 minutes after the signal, and migrate.js rebuilds for older
+// documents while the tape still holds their window.
+// ---------------------------------------------------------------------
+
+export const PRICE_WINDOW_MS = 30 * 60 * 1000;
+export const PRICE_OFFSETS = [1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,45,60,90,120,150,180,210,240,270,300,330,360,390,420,450,480,510,540,570,600,660,720,780,840,900,960,1020,1080,1140,1200,1260,1320,1380,1440,1500,1560,1620,1680,1740,1800];
+
+for (const barrier of params.TRIPLE_BARRIERS) {
+    if (barrier.horizonS * 1000 > PRICE_WINDOW_MS) {
+        throw new Error(`Triple barrier "${barrier.id}" reaches past the ${PRICE_WINDOW_MS / 60_000} min price window`);
+    }
+}
+
+function realisedSigma(bars) {
+    if (bars.length < 2) {
+        return null;
+    }
+
+    const rets = [];
+
+    for (let i = 1; i < bars.length; i++) {
+        const p0 = bars[i - 1].close;
+        const p1 = bars[i].close;
+
+        if (p0 > 0) {
+            rets.push(Math.log(p1 / p0));
+        }
+    }
+
+    if (!rets.length) {
+        return null;
+    }
+
+    const μ = rets.reduce((s, x) => s + x, 0) / rets.length;
+    const variance = rets.reduce((s, x) => s + (x - μ) ** 2, 0) / rets.length;
+    return Math.sqrt(variance);
+}
+
+/**
+ * The `prices` document of a signal, from the tape around it: raw rows at
+ * every offset, the labels (labels.js) and the benchmark-relative returns
+ * (benchmarks.js). `redis` serves the universe for the basket. Rows have
+ * a null price when the tape no longer holds the window.
+ */
+export async function buildPriceDocument({ id, symbol, timestamp, direction = "long", triggerPrice }, redis) {
+    const dirSign = direction === "short" ? -1 : 1;
+
+    const startMs = timestamp;
+    const endMs = startMs + PRICE_WINDOW_MS;
+    const bars = await getSecBars(symbol, startMs, endMs - 1000);
+
+    const sigma30m = realisedSigma(bars);
+    const entryPrice = triggerPrice ?? bars[0]?.open ?? null;
+
+    // History before the signal (its own second excluded): ATR for the
+    // barriers, and the beta against BTC.
+    const lookbackMs = Math.max(params.ATR_PERIOD_SECONDS * 1000, params.LABEL_BETA_LOOKBACK_MINUTES * 60_000);
+    const preBars = await getSecBars(symbol, startMs - lookbackMs, startMs - 1000);
+    const atrPct = atrPctBefore(preBars.filter(bar => bar.t >= startMs - params.ATR_PERIOD_SECONDS * 1000));
+    const barriers = tripleBarrierLabels(bars, { startMs, entryPrice, direction, atrPct });
+
+    // Net returns: costs are estimated from the book at signal time.
+    const signal = await mongo.signals.findOne(
+        { _id: new ObjectId(id) },
+        { projection: { spreadBps: 1, depth5BidVolume: 1, depth5AskVolume: 1, triggerPrice: 1 } }
+    );
+    const cost = roundTripCost(signal, direction);
+    const net = ret => ret !== null && cost !== null ? ret - cost : null;
+
+    for (const barrier of barriers ?? []) {
+        barrier.exit_ret_net = net(barrier.exit_ret_dir);
+    }
+
+    // Benchmarks over the same window ------------------------------------
+    const btcBars = await getSecBars(BENCHMARK_PAIR, startMs - lookbackMs, endMs - 1000);
+    const btcRets = offsetReturns(btcBars, startMs, PRICE_OFFSETS);
+    const { beta, points: betaPoints } = estimateBeta(preBars, btcBars.filter(bar => bar.t + 1000 <= startMs));
+    const basketRets = params.LABEL_BASKET_ENABLED ? await fetchBasketReturns(redis, symbol, startMs, endMs) : null;
+
+    const priceRows = PRICE_OFFSETS.map((sec, k) => {
+        const targetTime = startMs + sec * 1000;
+        let nearestBar = null;
+
+        for (let i = 0; i < bars.length; i++) {
+            if (bars[i].t >= targetTime) {
+                nearestBar = bars[i];
+                break;
+            }
+        }
+
+        if (!nearestBar && bars.length) {
+            nearestBar = bars[bars.length - 1];
+        }
+
+        const price = nearestBar ? nearestBar.close : null;
+        const ret = price !== null && entryPrice > 0 ? price / entryPrice - 1 : null;
+
+        return {
+            t_offset_s: sec,
+            price,
+            volume: nearestBar ? nearestBar.volume : 0,
+            ret,
+            // Return in the signal's favour: positive means the call was right.
+            ret_dir: ret !== null ? ret * dirSign : null,
+            ret_net: net(ret !== null ? ret * dirSign : null),
+            // Against BTC: plain excess, and excess over the beta-implied move.
+            btc_ret: btcRets[k],
+            excess_ret_dir: ret !== null && btcRets[k] !== null ? (ret - btcRets[k]) * dirSign : null,
+            beta_adj_ret_dir: ret !== null && btcRets[k] !== null && beta !== null ? (ret - beta * btcRets[k]) * dirSign : null,
+            ...(basketRets && {
+                basket_ret: basketRets.returns[k],
+                basket_excess_ret_dir: ret !== null && basketRets.returns[k] !== null ? (ret - basketRets.returns[k]) * dirSign : null
+            })
+        };
+    });
+
+    return {
+        schemaVersion: schemaVersion("prices"),
+        signal_id: new ObjectId(id),
+        symbol: symbol.replace(/[^A-Za-z0-9]/g, "").toUpperCase(),
+        exchange: exchange.id,
+        direction,
+        entry_price: entryPrice,
+        sigma30m: sigma30m,
+        atr_pct: atrPct,
+        barriers,
+        ...excursions(bars, { startMs, entryPrice, direction }),
+        cost_pct: cost,
+        benchmark_pair: BENCHMARK_PAIR,
+        btc_beta: beta,
+        btc_beta_points: betaPoints,
+        ...(basketRets && { basket_size: basketRets.size }),
+        prices: priceRows
+    };
+}
+
+// Equal-weighted basket of the universe, the signal's own pair excluded.
+async function fetchBasketReturns(redis, symbol, startMs, endMs) {
+    const pairs = (await loadUniverse(redis)).filter(pair => pair !== symbol);
+    const barsPerPair = await Promise.all(pairs.map(pair => getSecBars(pair, startMs - 60_000, endMs - 1000)));
+
+    return { size: pairs.length, returns: basketReturns(barsPerPair, startMs, PRICE_OFFSETS) };
+}
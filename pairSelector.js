@@ -1,7 +1,8 @@
 import axios from "axios";
+import exchange from "./exchange.js";
 
 const COINGECKO_API_URL = "https://api.coingecko.com/api/v3/coins/markets";
-const GATE_PAIRS_URL = "https://api.gateio.ws/api/v4/spot/currency_pairs";
+const QUOTE_ASSET = "USDT";
 
 const PAIRS_TO_SELECT = 150;
 const STABLECOIN_SYMBOLS = new Set(["USDC","USDT","DAI","TUSD","USDP","FDUSD","GUSD","FRAX","USDD","PYUSD","PAXG","USDE","EURS","USDX","OUSD","BUSD", "S"]);
@@ -18,27 +19,17 @@ function classifyTier(marketCap) {
 }
 
 export default async function fetchBestPairs() {
-    console.log("[pairSelector] Fetching Gate listings + CoinGecko stats");
+    console.log(`[pairSelector] Fetching ${exchange.id} listings + CoinGecko stats`);
 
-    let gatePairs;
+    let tradableUsdtPairs;
 
     try {
-        const res = await axios.get(GATE_PAIRS_URL, {
-            timeout: 10_000
-        });
-
-        gatePairs = res.data;
+        tradableUsdtPairs = await exchange.fetchTradablePairs(QUOTE_ASSET);
     } catch (err) {
-        console.error("[pairSelector] Cannot fetch Gate pairs", err.message);
+        console.error(`[pairSelector] Cannot fetch ${exchange.id} pairs`, err.message);
         return [];
     }
 
-    const tradableUsdtPairs = new Set(
-        gatePairs
-            .filter(p => p.quote === "USDT" && p.trade_status === "tradable")
-            .map(p => p.id)
-    );
-
     let gecko;
 
     try {
@@ -59,10 +50,10 @@ export default async function fetchBestPairs() {
 
     const selected = gecko.map(coin => ({
         ...coin,
-        gateSymbol: `${coin.symbol.toUpperCase()}_USDT`
+        venueSymbol: exchange.formatPair(coin.symbol.toUpperCase(), QUOTE_ASSET)
     }))
-    // Listed on Gate & tradable
-    .filter(c => tradableUsdtPairs.has(c.gateSymbol))
+    // Listed on the venue & tradable
+    .filter(c => tradableUsdtPairs.has(c.venueSymbol))
     // Exclude stablecoins
     .filter(c => !STABLECOIN_SYMBOLS.has(c.symbol.toUpperCase()))
     // Liquidity floor
@@ -73,7 +64,7 @@ export default async function fetchBestPairs() {
     .sort((a, b) => Math.abs(b.price_change_percentage_24h) - Math.abs(a.price_change_percentage_24h))
     .slice(0, PAIRS_TO_SELECT)
     .map(c => ({
-        symbol: c.gateSymbol,
+        symbol: c.venueSymbol,
         tier: classifyTier(c.market_cap)
     }));
 
@@ -1,7 +1,13 @@
 const parameters = {
+    EXCHANGE: process.env.EXCHANGE || "gate", // Venue adapter the engine runs against (see exchange.js).
     TIER_LARGE_CAP_MIN_MARKET_CAP: 5_000_000_000, // 5 Billion USD
     TIER_MID_CAP_MIN_MARKET_CAP:   500_000_000, // 500 Million USD
     TIME_CACHE_DURATION_MS: 60000,
+    RECORD_FEED_DIR: process.env.RECORD_FEED_DIR || null, // When set, every raw exchange frame is recorded here (gzip NDJSON).
+    RECORD_ROTATE_MS: 60 * 60 * 1000, // One recording file per hour.
+    REPLAY_FEED_DIR: process.env.REPLAY_FEED_DIR || null, // When set, app.js replays recordings from here instead of going live.
+    REPLAY_SPEED: Number(process.env.REPLAY_SPEED ?? 1), // 1 = original pace, 10 = ten times faster, 0 = as fast as possible.
+    PAIR_ROTATION_INTERVAL_MS: 4 * 60 * 60 * 1000, // Re-run pair selection every 4 hours and rotate the monitored universe.
     CHECK_SIGNAL_INTERVAL_MS: 250, // How often to run the `checkSignal` logic for each symbol.
     PRICE_BUCKET_DURATION_MS: 100, // The time resolution for bucketing historical prices for momentum checks.
     AGG_TRADE_BUFFER_SIZE: 250, // Number of recent trades to keep in memory for each symbol.
@@ -9,7 +15,37 @@ const parameters = {
     PRICE_SLOPE_ALPHA: 0.4, // EWMA slope smoother ~2 s
     PRICE_SLOPE_ZSCORE: 1.9,
     MIN_TRADES_IN_1S: 5, // A sanity check to ensure the volume spike is from broad participation, not one huge trade.
+    TRADE_FLOW_VWAP_WINDOW_MS: 60_000, // Rolling VWAP window of the trade-flow features.
+    TRADE_FLOW_RECENT_WINDOW_MS: 10_000, // Window for trade intensity and large-print share.
+    TRADE_FLOW_MAX_TRADES: 5_000, // Cap on trades held per trade-flow window (very busy pairs see a shorter VWAP).
+    TRADE_SIZE_SAMPLES: 1_000, // Recent trades forming a symbol's trade-size distribution.
+    LARGE_TRADE_SIGMA: 2.5, // A print is large above exp(mean + k·σ) of the log trade sizes.
+    LARGE_TRADE_MIN_SAMPLES: 100, // No large-print detection before this many trades were seen.
+    TRADE_INTENSITY_BASELINE_MS: 5 * 60_000, // Time constant of the trades / sec baseline.
     MAX_BID_ASK_SPREAD_PCT: 0.003, // Max 0.3% spread to avoid high slippage and illiquid markets.
+    MAX_NORMALIZED_SPREAD: 3.0, // Max spread relative to the instantaneous (per-second) volatility.
+    EXPECTED_TRADE_SIZE_USD: 500, // Notional we expect to trade per signal; liquidity checks are sized from it.
+    MIN_EXECUTION_MULTIPLIER: 5, // Book depth needed on each side, as a multiple of the expected trade size.
+    MIN_24H_VOLUME_USD: 1_000_000, // Symbols trading less than this over 24 h may not signal.
+    ABS_VOLUME_FLOOR_USD: 400, // Minimum 1 s traded notional for a volume spike (tier profiles override it).
+    MARKET_SPIKE_VOLUME_RATIO: 3, // Market breadth: a symbol counts as spiking at this fast / 1 m volume ratio.
+    MARKET_MOVE_SLOPE_Z: 2, // Market breadth: a symbol counts as moving up / down at this price slope z-score.
+    MAX_MARKET_SPIKE_BREADTH: 0, // Refuse signals while more than this share of symbols spikes at once (0 = off).
+    MAX_BTC_SLOPE_Z: 0, // Refuse signals while |BTC price slope z-score| exceeds this (0 = off).
+    STALE_FEED_MS: { // Per-channel silence after which a topic is resubscribed and the symbol may not signal.
+        "aggTrade": 60_000,
+        "ticker": 15_000,
+        "bookTicker": 5_000,
+        "depth5@100ms": 3_000,
+        "depth@100ms": 3_000
+    },
+    CLOCK_SKEW_INTERVAL_MS: 5 * 60 * 1000, // How often to re-estimate the local clock offset against exchange server time.
+    ORDER_BOOK_DEPTH: 100, // Levels per side kept in the local L2 book (and requested in REST resync snapshots).
+    ORDER_BOOK_RESYNC_BACKOFF_MS: 2000, // Wait before retrying a failed or out-of-sequence book snapshot.
+    MAX_BOOK_IMPACT_BPS: 50, // Max average slippage (bps) to fill the liquidity check notional from the local L2 book.
+    BOOK_CAPTURE_WINDOW_MS: 60_000, // depth5 frames kept in Redis after a signal for the book trajectory (0 = off, REST snapshots only).
+    BOOK_TRAJECTORY_STEP_MS: 1_000, // Sampling step of the stored post-signal book trajectory.
+    BOOK_STREAM_MAX_GAP_MS: 1_000, // Longer without a depth5 frame is a stream gap; book snapshots there come from REST.
     EWMA_ALPHA_VOL_FAST: 0.1175, // T=2s, dt=0.25s (1 - exp(-0.25 / 2))
     EWMA_ALPHA_VOL_SLOW: 0.000833, // T=300s, dt=0.25s (1 - exp(-0.25 / 300))
     EWMA_ALPHA_VOL_MED: 0.00416, // Baseline time-constant 60 s  ➜  α = 1-exp(-0.25/60)
@@ -18,7 +54,50 @@ const parameters = {
     ATR_PERIOD_SECONDS: 60, // The lookback period (in seconds) for calculating ATR
     ATR_ALPHA: 2 / (30 + 1), // Alpha = 1/N. For EWMA: Alpha = 2/(N+1). We use EWMA.
     ATR_ALPHA_SLOW: 2 / (300 + 1),
-    SIGNAL_COOLDOWN_MS: 6000 // 6 seconds cooldown per pair after a signal to prevent rapid re-triggering.
+    TRIPLE_BARRIERS: [ // Triple-barrier label sets stored per signal (labels.js): barrier = multiple × ATR% × √horizon.
+        { id: "tb_1x1_5m", tp: 1, sl: 1, horizonS: 300 },
+        { id: "tb_2x1_15m", tp: 2, sl: 1, horizonS: 900 },
+        { id: "tb_2x2_30m", tp: 2, sl: 2, horizonS: 1800 }
+    ],
+    LABEL_TAKER_FEE_BPS: 10, // Taker fee per side assumed for net returns in the price labels.
+    LABEL_DEPTH_IMPACT_BPS: 25, // Extra slippage per side when the trade (EXPECTED_TRADE_SIZE_USD) takes the whole top-5 side.
+    LABEL_BETA_LOOKBACK_MINUTES: 120, // 1 m returns before the signal used to estimate its beta against BTC.
+    LABEL_BASKET_ENABLED: false, // Also label against an equal-weighted basket of the monitored universe (reads every pair's tape).
+    SIGNAL_COOLDOWN_MS: 6000, // 6 seconds cooldown per pair and direction after a signal to prevent rapid re-triggering.
+    EPISODE_GAP_MS: 60_000, // Signals of a pair and direction less than this apart form one episode (see episodes.js).
+    EPISODE_FOLLOW_UP_MODE: process.env.EPISODE_FOLLOW_UP_MODE || "store", // Episode follow-ups: "store", "count" (episode tally only) or "suppress".
+    SCHEMA_VALIDATION: process.env.SCHEMA_VALIDATION || "warn", // Documents failing schema.js: "warn" (store anyway), "reject" (do not store) or "off".
+    SHORT_SIGNALS_ENABLED: true, // Also detect downside (short) moves.
+    SHORT_MAX_TAKER_RATIO: 0.8, // Short signals need seller-dominated flow: smoothed taker buy/sell ratio at most this.
+    SHORT_MAX_BOOK_IMBALANCE: -0.1, // Short signals need an ask-heavy top-5 book: imbalance at most this.
+    DETECTORS: { // Detectors registered on every monitor: id -> parameter overrides (`enabled: false` switches one off).
+        volume_momentum: {},
+        breakout_24h: { enabled: false }, // Untuned: enable deliberately (config overrides may set `enabled: true`).
+        imbalance_flip: { enabled: false } // Untuned: enable deliberately.
+    },
+    TIER_PROFILES: { // Built-in tier layer of the monitor config, below every config source layer (see config.js).
+        mega:  { ABS_VOLUME_FLOOR_USD: 1000, DETECTORS: { volume_momentum: { maxVol5m: 0.50 } } },
+        large: { ABS_VOLUME_FLOOR_USD: 600,  DETECTORS: { volume_momentum: { maxVol5m: 0.80 } } },
+        mid:   { ABS_VOLUME_FLOOR_USD: 500,  DETECTORS: { volume_momentum: { maxVol5m: 1.20 } } },
+        small: { ABS_VOLUME_FLOOR_USD: 400,  DETECTORS: { volume_momentum: { maxVol5m: 2.00 } } },
+        micro: { ABS_VOLUME_FLOOR_USD: 300,  DETECTORS: { volume_momentum: { maxVol5m: 3.00 } } }
+    },
+    CONFIG_SOURCE: process.env.CONFIG_SOURCE || null, // "file" (CONFIG_FILE) or "mongo" (`config` collection); unset = parameters.js only.
+    CONFIG_FILE: process.env.CONFIG_FILE || "./config.json", // JSON { global, tiers, symbols } overrides when CONFIG_SOURCE is "file".
+    CONFIG_RELOAD_INTERVAL_MS: 10_000, // How often the config source is polled for changes.
+    WARM_STATE_INTERVAL_MS: 30_000, // How often every monitor's warm state is snapshotted to Redis (also on shutdown).
+    WARM_STATE_MAX_AGE_MS: 5 * 60 * 1000, // Snapshots older than this are ignored at startup (and expire in Redis); the span of the return history, past which the tape seeds the monitor instead.
+    WARM_UP_BARS_MINUTES: 6, // Without a snapshot, seed a new monitor from this many minutes of stored 1 s bars.
+    INDICATOR_WARM_UP_MINUTES: 80, // Stored 1 s bars replayed into the multi-timeframe indicators of a new monitor (5 m RSI 14 needs 75).
+    WARM_UP_CONCURRENCY: 4, // Monitors restored / seeded from the tape at the same time (each loads INDICATOR_WARM_UP_MINUTES of bars).
+    FUNNEL_FLUSH_INTERVAL_MS: 60_000, // How often per-symbol gate rejection counters are written to the `funnel` collection.
+    NEAR_MISS_ENABLED: true, // Store vectors that failed exactly one threshold gate in `near_misses`.
+    NEAR_MISS_MAX_MARGIN: 0.10, // ... and missed it by at most this fraction of the threshold.
+    NEAR_MISS_MIN_INTERVAL_MS: 30_000, // At most one near miss per symbol, detector and gate in this interval.
+    SIGNAL_TRIGGER_MODE: "gates", // "gates": every detector gate must pass; "score": the composite score decides (detectors may override).
+    SIGNAL_MIN_SCORE: 0.25, // Score mode: composite score (mean clipped gate margin, -1..1) needed to fire.
+    SIGNAL_MAX_GATE_DEFICIT: 0.5, // Score mode: a gate missed by more than this fraction of its threshold still vetoes.
+    SIGNAL_GRADES: { watch: 0, alert: 0.3, strong: 0.6 } // Grade stored on each signal: the highest one whose minimum score is reached.
 };
 
 export default parameters;
\ No newline at end of file
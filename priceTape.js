@@ -1,21 +1,91 @@
 import IORedis from "ioredis";
+import exchange from "./exchange.js";
+import clock from "./clock.js";
 
 const RETENTION_DAYS = 45;
 const RETENTION_SECONDS = RETENTION_DAYS * 24 * 60 * 60;
-const REDIS_KEY_PREFIX = "gate:secbar:";
+const REDIS_KEY_PREFIX = `${exchange.id}:secbar:`;
+const MAX_BACKFILL_TRADES = 5_000;
+const BACKFILL_PAGE_SIZE = 1_000;
+const BACKFILL_CONCURRENCY = 3;
+
+// Bars are stored as `<sec>:o,h,l,c,v[,1]` (the trailing 1 marks a
+// backfilled bar). The second makes every member unique: identical flat
+// bars would otherwise collapse into one member of the sorted set. Older
+// members have no `<sec>:` prefix.
+function barMember(sec, open, high, low, close, volume, backfilled = false) {
+    return `${sec}:${open},${high},${low},${close},${volume}${backfilled ? ",1" : ""}`;
+}
+
+function parseBarMember(member) {
+    const [o, h, l, c, v, backfilled] = member.slice(member.indexOf(":") + 1).split(",").map(Number);
+    return { open: o, high: h, low: l, close: c, volume: v, backfilled: backfilled === 1 };
+}
+
+// After a reconnect every pair finds a gap at once; their backfills share
+// one queue so only a few REST fetches run at a time (each with the
+// request helper's retry backoff).
+const _backfillQueue = [];
+let _backfillsRunning = 0;
+
+function queueBackfill(run) {
+    return new Promise((resolve, reject) => {
+        _backfillQueue.push({ run, resolve, reject });
+        drainBackfillQueue();
+    });
+}
+
+function drainBackfillQueue() {
+    while (_backfillsRunning < BACKFILL_CONCURRENCY && _backfillQueue.length) {
+        const { run, resolve, reject } = _backfillQueue.shift();
+        _backfillsRunning++;
+
+        run()
+            .then(resolve, reject)
+            .finally(() => {
+                _backfillsRunning--;
+                drainBackfillQueue();
+            });
+    }
+}
 
 class BarBuilder {
-    constructor(pair, redis) {
+    constructor(pair, redis, persist = true) {
         this.pair = pair;
         this.redis = redis;
+        this.persist = persist;
         this._secBucketTS = null;
         this._open = this._high = this._low = this._close = 0;
         this._volume = 0;
+        this._backfilled = false;
+        this._lastTradeId = null;
+        this._lastTradeSec = null;
+        this._backfillChain = Promise.resolve();
     }
 
-    onTrade(price, volumeUSDT, tsMs) {
+    onTrade(price, volumeUSDT, tsMs, tradeId) {
         const secBucket = Math.floor(tsMs / 1000);
 
+        if (Number.isFinite(tradeId)) {
+            // Re-delivered trades (e.g. after a resubscribe) must not be counted twice.
+            if (this._lastTradeId !== null && tradeId <= this._lastTradeId) {
+                return;
+            }
+
+            // Without persistence (replay) there is no stored tape to repair.
+            if (this.persist && this._lastTradeId !== null && tradeId > this._lastTradeId + 1) {
+                this._scheduleBackfill({
+                    afterId: this._lastTradeId,
+                    beforeId: tradeId,
+                    fromSec: this._lastTradeSec,
+                    toSec: secBucket
+                });
+            }
+
+            this._lastTradeId = tradeId;
+            this._lastTradeSec = secBucket;
+        }
+
         if (this._secBucketTS === null) {
             this._startNewBar(secBucket, price, volumeUSDT);
             return;
@@ -30,7 +100,7 @@ class BarBuilder {
             this._flushCurrentBar();
 
             for (let s = this._secBucketTS + 1; s < secBucket; s++) {
-                this._pushBarToRedis(s, this._close, this._close, this._close, this._close, 0);
+                this._closeBar(s, this._close, this._close, this._close, this._close, 0);
             }
 
             this._startNewBar(secBucket, price, volumeUSDT);
@@ -43,6 +113,117 @@ class BarBuilder {
         }
     }
 
+    _scheduleBackfill(gap) {
+        this._backfillChain = this._backfillChain
+            .then(() => queueBackfill(() => this._backfill(gap)))
+            .catch(err => console.error(`[priceTape] ${this.pair} backfill ${gap.afterId}→${gap.beforeId} failed`, err.message));
+    }
+
+    /**
+     * Fetch the trades strictly between two seen trade ids and fold them
+     * into the seconds they belong to. Gap seconds that were written as flat
+     * zero-volume bars are replaced; the two boundary seconds are merged with
+     * what was already recorded for them.
+     */
+    async _backfill({ afterId, beforeId, fromSec, toSec }) {
+        const missingCount = beforeId - afterId - 1;
+
+        if (missingCount > MAX_BACKFILL_TRADES) {
+            console.warn(`[priceTape] ${this.pair} gap of ${missingCount} trades exceeds backfill limit – left as is`);
+            return;
+        }
+
+        const missing = [];
+        let cursor = afterId;
+
+        while (cursor < beforeId - 1) {
+            const page = await exchange.fetchTradesAfter(this.pair, cursor, BACKFILL_PAGE_SIZE);
+            const inGap = page.filter(t => t.id > cursor && t.id < beforeId);
+
+            if (!inGap.length) {
+                break;
+            }
+
+            missing.push(...inGap);
+            cursor = inGap[inGap.length - 1].id;
+
+            if (page.length < BACKFILL_PAGE_SIZE) {
+                break;
+            }
+        }
+
+        if (!missing.length) {
+            return;
+        }
+
+        const bySec = new Map();
+
+        for (const t of missing) {
+            const sec = Math.floor(t.tsMs / 1000);
+            const notional = t.price * t.amount;
+            const bar = bySec.get(sec);
+
+            if (!bar) {
+                bySec.set(sec, { open: t.price, high: t.price, low: t.price, close: t.price, volume: notional });
+            } else {
+                bar.high = Math.max(bar.high, t.price);
+                bar.low = Math.min(bar.low, t.price);
+                bar.close = t.price;
+                bar.volume += notional;
+            }
+        }
+
+        for (const [sec, gapBar] of bySec) {
+            // The missing trades happened after everything already seen in
+            // fromSec and before everything seen in toSec.
+            const keepOpen = sec === fromSec;
+            const keepClose = sec === toSec;
+
+            if (sec === this._secBucketTS) {
+                this._mergeIntoCurrentBar(gapBar, keepOpen, keepClose);
+            } else {
+                await this._mergeIntoStoredBar(sec, gapBar, keepOpen, keepClose);
+            }
+        }
+
+        console.log(`[priceTape] ${this.pair} backfilled ${missing.length}/${missingCount} trades over ${bySec.size}s`);
+    }
+
+    _mergeIntoCurrentBar(gapBar, keepOpen, keepClose) {
+        if (!keepOpen) this._open = gapBar.open;
+        if (!keepClose) this._close = gapBar.close;
+        this._high = Math.max(this._high, gapBar.high);
+        this._low = Math.min(this._low, gapBar.low);
+        this._volume += gapBar.volume;
+        this._backfilled = true;
+    }
+
+    async _mergeIntoStoredBar(sec, gapBar, keepOpen, keepClose) {
+        const key = REDIS_KEY_PREFIX + this.pair;
+        const stored = await this.redis.zrangebyscore(key, sec, sec);
+        let merged = gapBar;
+
+        // Boundary seconds hold real trades; seconds inside the gap only
+        // ever held a fabricated flat bar and are replaced outright.
+        if (stored.length && (keepOpen || keepClose)) {
+            const bar = parseBarMember(stored[0]);
+
+            merged = {
+                open: keepOpen ? bar.open : gapBar.open,
+                high: Math.max(bar.high, gapBar.high),
+                low: Math.min(bar.low, gapBar.low),
+                close: keepClose ? bar.close : gapBar.close,
+                volume: bar.volume + gapBar.volume
+            };
+        }
+
+        await this.redis.multi()
+            .zremrangebyscore(key, sec, sec)
+            .zadd(key, sec, barMember(sec, merged.open, merged.high, merged.low, merged.close, merged.volume, true))
+            .expire(key, RETENTION_SECONDS)
+            .exec();
+    }
+
     static async getSecBars(redis, pair, startMs, endMs) {
         const key = REDIS_KEY_PREFIX + pair.toUpperCase();
         const startScore = Math.floor(startMs / 1000);
@@ -51,11 +232,9 @@ class BarBuilder {
         const bars = [];
 
         for (let i = 0; i < raw.length; i += 2) {
-            const [o, h, l, c, v] = raw[i].split(",").map(Number);
-
             bars.push({
                 t: Number(raw[i + 1]) * 1000, // back to ms
-                open: o, high: h, low: l, close: c, volume: v
+                ...parseBarMember(raw[i])
             });
         }
 
@@ -66,36 +245,69 @@ class BarBuilder {
         this._secBucketTS = secBucket;
         this._open = this._high = this._low = this._close = price;
         this._volume = volumeUSDT;
+        this._backfilled = false;
     }
 
     _flushCurrentBar() {
-        this._pushBarToRedis(
+        this._closeBar(
             this._secBucketTS,
             this._open,
             this._high,
             this._low,
             this._close,
-            this._volume
+            this._volume,
+            this._backfilled
         );
     }
 
-    _pushBarToRedis(secBucket, open, high, low, close, volume) {
+    _closeBar(secBucket, open, high, low, close, volume, backfilled = false) {
+        const bar = { t: secBucket * 1000, open, high, low, close, volume, backfilled };
+
+        for (const listener of _barListeners) {
+            try {
+                listener(this.pair, bar);
+            } catch (err) {
+                console.error(`[priceTape] ${this.pair} bar listener failed`, err);
+            }
+        }
+
+        if (this.persist) {
+            this._pushBarToRedis(secBucket, open, high, low, close, volume, backfilled);
+        }
+    }
+
+    _pushBarToRedis(secBucket, open, high, low, close, volume, backfilled = false) {
         const key = REDIS_KEY_PREFIX + this.pair;
-        const member = `${open},${high},${low},${close},${volume}`;
-        this.redis.zadd(key, secBucket, member);
+        this.redis.zadd(key, secBucket, barMember(secBucket, open, high, low, close, volume, backfilled));
         this.redis.expire(key, RETENTION_SECONDS);
     }
 }
 
 const _builders = new Map();
+const _barListeners = [];
 let _redis = null;
+let _persist = true;
 
-export function initPriceTape(redisInstance) {
+/**
+ * `persist: false` builds bars (and notifies listeners) without writing
+ * or repairing the stored tape – for replays, which must not touch it.
+ */
+export function initPriceTape(redisInstance, { persist = true } = {}) {
     if (!redisInstance || !(redisInstance instanceof IORedis)) {
         throw new Error("initPriceTape() requires an ioredis instance");
     }
 
     _redis = redisInstance;
+    _persist = persist;
+}
+
+/**
+ * Register `listener(pair, bar)` for every closed 1 s bar, including the
+ * flat bars written for seconds without trades. `bar.t` is the start of
+ * the second in ms (exchange time).
+ */
+export function onSecBarClosed(listener) {
+    _barListeners.push(listener);
 }
 
 export function ensureTapeForPair(pair) {
@@ -104,14 +316,28 @@ export function ensureTapeForPair(pair) {
     }
 
     if (!_builders.has(pair)) {
-        _builders.set(pair, new BarBuilder(pair, _redis));
+        _builders.set(pair, new BarBuilder(pair, _redis, _persist));
     }
 
     return _builders.get(pair);
 }
 
-export function handleTradeTick(pair, price, volumeUSDT, tsMs) {
-    ensureTapeForPair(pair).onTrade(price, volumeUSDT, tsMs);
+export function handleTradeTick(pair, price, volumeUSDT, tsMs, tradeId) {
+    // Trades without a usable exchange timestamp are booked at engine time.
+    if (!Number.isFinite(tsMs)) {
+        tsMs = clock.now();
+    }
+
+    ensureTapeForPair(pair).onTrade(price, volumeUSDT, tsMs, tradeId);
+}
+
+export function retireTapeForPair(pair) {
+    const builder = _builders.get(pair);
+
+    if (builder) {
+        builder.flush();
+        _builders.delete(pair);
+    }
 }
 
 export async function getSecBars(pair, startMs, endMs) {
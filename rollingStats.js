@@ -0,0 +1,167 @@
+import CircularBuffer from "./circularBuffer.js";
+
+// ---------------------------------------------------------------------
+// Rolling statistics in O(1) per update. Both windows are CircularBuffers
+// (so toArray / get / warm-state snapshots keep working) that update a
+// running mean and sum of squared deviations (Welford) as items enter and
+// leave, instead of re-scanning the whole buffer every check tick.
+//
+//   RollingWindow – the last `capacity` items
+//   TimeWindow    – items with `time` within the last `windowMs` (and at
+//                   most `capacity` of them)
+//   WindowMax     – running maximum of a window that items leave oldest
+//                   first (monotonic deque, amortised O(1))
+//
+// Items may be plain numbers or objects; `valueOf` picks the number.
+// Removing values accumulates rounding error, so the statistics are
+// recomputed from the buffer once every `capacity` removals.
+// ---------------------------------------------------------------------
+
+const identity = x => x;
+
+export class RollingWindow extends CircularBuffer {
+    constructor(capacity, valueOf = identity) {
+        super(capacity);
+        this.pick = valueOf;
+        this.mean = 0;
+        this.m2 = 0;                      // sum of squared deviations from the mean
+        this.sum = 0;
+        this.removals = 0;
+    }
+
+    add(item) {
+        const dropped = super.add(item);
+        if (dropped !== undefined) this._remove(this.pick(dropped), this.count);
+        this._insert(this.pick(item));
+        if (this.removals >= this.capacity) this._recompute();
+        return dropped;
+    }
+
+    removeOldest() {
+        const item = super.removeOldest();
+        if (item !== undefined) this._remove(this.pick(item), this.count + 1);
+        if (this.removals >= this.capacity) this._recompute();
+        return item;
+    }
+
+    clear() {
+        super.clear();
+        this.mean = 0;
+        this.m2 = 0;
+        this.sum = 0;
+        this.removals = 0;
+    }
+
+    /** Population variance of the window (0 when empty). */
+    variance() {
+        return this.count > 0 ? this.m2 / this.count : 0;
+    }
+
+    /** Sample variance of the window (0 below two items). */
+    sampleVariance() {
+        return this.count > 1 ? this.m2 / (this.count - 1) : 0;
+    }
+
+    std() {
+        return Math.sqrt(this.variance());
+    }
+
+    sampleStd() {
+        return Math.sqrt(this.sampleVariance());
+    }
+
+    // `this.count` already includes x.
+    _insert(x) {
+        const delta = x - this.mean;
+        this.mean += delta / this.count;
+        this.m2 += delta * (x - this.mean);
+        this.sum += x;
+    }
+
+    // Take x out of statistics that were computed over `n` values.
+    _remove(x, n) {
+        if (n <= 1) {
+            this.mean = 0;
+            this.m2 = 0;
+            this.sum = 0;
+            return;
+        }
+
+        const mean = (n * this.mean - x) / (n - 1);
+        this.m2 = Math.max(0, this.m2 - (x - this.mean) * (x - mean));
+        this.mean = mean;
+        this.sum -= x;
+        this.removals++;
+    }
+
+    _recompute() {
+        let sum = 0;
+        for (let i = 0; i < this.count; i++) sum += this.pick(this.get(i));
+
+        const mean = this.count ? sum / this.count : 0;
+        let m2 = 0;
+        for (let i = 0; i < this.count; i++) m2 += (this.pick(this.get(i)) - mean) ** 2;
+
+        this.sum = sum;
+        this.mean = mean;
+        this.m2 = m2;
+        this.removals = 0;
+    }
+}
+
+export class TimeWindow extends RollingWindow {
+    constructor(windowMs, capacity, valueOf = identity) {
+        super(capacity, valueOf);
+        this.windowMs = windowMs;
+    }
+
+    /** Add an item (it must carry `time`, in ms) and expire old ones. */
+    add(item) {
+        const dropped = super.add(item);
+        this.expire(item.time);
+        return dropped;
+    }
+
+    /** Drop items with `time <= now - windowMs`. */
+    expire(now) {
+        const cutoff = now - this.windowMs;
+        while (this.count && this.getOldest().time <= cutoff) this.removeOldest();
+    }
+}
+
+export class WindowMax {
+    constructor() {
+        this.values = [];                 // strictly decreasing from `head`
+        this.seqs = [];
+        this.head = 0;
+        this.nextSeq = 0;
+    }
+
+    /** Add a value; returns its sequence number for `dropBefore`. */
+    push(x) {
+        while (this.values.length > this.head && this.values[this.values.length - 1] <= x) {
+            this.values.pop();
+            this.seqs.pop();
+        }
+
+        this.values.push(x);
+        this.seqs.push(this.nextSeq);
+        return this.nextSeq++;
+    }
+
+    /** Forget values pushed before sequence number `seq`. */
+    dropBefore(seq) {
+        while (this.head < this.seqs.length && this.seqs[this.head] < seq) this.head++;
+
+        if (this.head > 1024 && this.head * 2 > this.seqs.length) {
+            this.values = this.values.slice(this.head);
+            this.seqs = this.seqs.slice(this.head);
+            this.head = 0;
+        }
+    }
+
+    /** Maximum of the values still in the window, null when none is. */
+    get max() {
+        return this.head < this.values.length ? this.values[this.head] : null;
+    }
+}
@@ -0,0 +1,386 @@
+import params from "./parameters.js";
+import { TIMEFRAMES } from "./indicators.js";
+
+// ---------------------------------------------------------------------
+// Document schemas of the `signals`, `prices` and `orderbooks`
+// collections. Every document carries `schemaVersion`; documents written
+// before versioning count as version 0 and are upgraded by migrate.js.
+//
+// A field is declared as [type, unit]. Declared fields may be missing
+// (older documents lack newer features) or null, unless listed as
+// required; undeclared fields are reported. Units:
+//
+//   ms / s      epoch time or duration      quote   price in quote asset
+//   usd         USDT notional               base    base-asset quantity
+//   frac        fraction (0.01 = 1 %)       pct     percent (1 = 1 %)
+//   bps         basis points                ratio   dimensionless ratio
+//   z           z-score                     ann     annualised volatility
+//   log         log return                  idx     0..100 oscillator
+//   count       number of things            score   composite gate score
+//
+// SCHEMA_VALIDATION: "warn" logs an invalid document and stores it
+// anyway, "reject" logs it and does not store it, "off" skips the check.
+// ---------------------------------------------------------------------
+
+const SIGNAL_FIELDS = {
+    schemaVersion:      ["number", null],
+    exchange:           ["string", null],
+    createdAt:          ["date", null],
+    symbol:             ["string", null],
+    signalTimestampMs:  ["number", "ms"],
+    triggerPrice:       ["number", "quote"],
+    direction:          ["string", null],
+    detectorId:         ["string", null],
+    triggerMode:        ["string", null],
+    signalScore:        ["number", "score"],
+    signalGrade:        ["string", null],
+    gateMargins:        ["object", "frac"],
+    configVersion:      ["number", "count"],
+    warmStartSource:    ["string", null],
+    episodeId:          ["string", null],
+    episodeSeq:         ["number", "count"],
+    isPrimarySignal:    ["boolean", null],
+    marketCapTier:      ["string", null],
+    lastPrice:          ["number", "quote"],
+
+    // price
+    priceChangePct:     ["number", "frac"],
+    priceSlope:         ["number", "frac/s"],
+    slopeZ:             ["number", "z"],
+    priceZScore:        ["number", "z"],
+
+    // volume
+    volumeRatioFast1m:  ["number", "ratio"],
+    volumeRatio1m5m:    ["number", "ratio"],
+    volumeAccelZ:       ["number", "z"],
+    current1sVolumeUsdt: ["number", "usd"],
+    current1sTradeCount: ["number", "count"],
+    volumePerDollar:    ["number", "ratio"],
+    dynVolumeThresh:    ["number", "ratio"],
+    absVolumeFloor:     ["number", "usd"],
+
+    // volatility
+    volatility30s:      ["number", "ann"],
+    volatility5m:       ["number", "ann"],
+    volatilityRatio:    ["number", "ratio"],
+
+    // microstructure
+    spreadPct:          ["number", "frac"],
+    spreadBps:          ["number", "bps"],
+    normalizedSpread:   ["number", "ratio"],
+    effectiveSpreadBps: ["number", "bps"],
+
+    // order book (top 5 levels)
+    depth5ObImbalance:  ["number", "ratio"],
+    depth5BidVolume:    ["number", "base"],
+    depth5AskVolume:    ["number", "base"],
+    depth5TotalVolume:  ["number", "base"],
+    depth5VolumeRatio:  ["number", "ratio"],
+    imbalanceMA5:       ["number", "ratio"],
+    imbalanceMA20:      ["number", "ratio"],
+    imbalanceVelocity:  ["number", "ratio"],
+    imbalanceVolatility: ["number", "ratio"],
+
+    // taker flow
+    takerRatioSmoothed: ["number", "ratio"],
+    takerBuyVolumeAbs:  ["number", "usd"],
+    takerFlowImbalance: ["number", "ratio"],
+    takerFlowMagnitude: ["number", "usd"],
+    takerFlowRatio:     ["number", "ratio"],
+
+    // trade flow (tradeFlow.js)
+    flowVwap:           ["number", "quote"],
+    flowVwapDistPct:    ["number", "frac"],
+    flowVwapTrades:     ["number", "count"],
+    flowLargeTradeThresholdUsd: ["number", "usd"],
+    flowLargeTrades:    ["number", "count"],
+    flowLargeTradeShare: ["number", "frac"],
+    flowMaxTradeShare:  ["number", "frac"],
+    flowTradeRate:      ["number", "count/s"],
+    flowTradeRateBaseline: ["number", "count/s"],
+    flowIntensityRatio: ["number", "ratio"],
+    flowRunLength:      ["number", "count"],
+    flowRunNotionalUsd: ["number", "usd"],
+
+    // tick-stepped technicals
+    ppoHistogram:       ["number", "pct"],
+    ppoLine:            ["number", "pct"],
+    signalLine:         ["number", "pct"],
+    rsi9:               ["number", "idx"],
+    ema9Over21:         ["boolean", null],
+    ema21Over50:        ["boolean", null],
+    emaAlignmentStrength: ["number", "frac"],
+    emaStackedBullish:  ["boolean", null],
+    emaStackedBearish:  ["boolean", null],
+    emaStackedNeutral:  ["boolean", null],
+    priceAboveEma9:     ["boolean", null],
+
+    // market context (marketContext.js)
+    mktSymbols:         ["number", "count"],
+    mktBreadthSpiking:  ["number", "frac"],
+    mktBreadthUp:       ["number", "frac"],
+    mktBreadthDown:     ["number", "frac"],
+    mktMedianTakerImbalance: ["number", "ratio"],
+
+    // 24 h ticker
+    ticker24hrVolumeUsdt: ["number", "usd"],
+    ticker24hrPriceChangePct: ["number", "pct"],
+    ticker24hrHigh:     ["number", "quote"],
+    ticker24hrLow:      ["number", "quote"],
+
+    // local L2 book
+    l2Synced:           ["boolean", null],
+    l2BuyImpactBps:     ["number", "bps"],
+    l2SellImpactBps:    ["number", "bps"],
+    l2BuyLevelsUsed:    ["number", "count"],
+    l2SellLevelsUsed:   ["number", "count"],
+    l2BidNotional25Bps: ["number", "usd"],
+    l2AskNotional25Bps: ["number", "usd"],
+    l2BidNotional100Bps: ["number", "usd"],
+    l2AskNotional100Bps: ["number", "usd"],
+
+    // feed latency
+    feedLatencyP50Ms:   ["number", "ms"],
+    feedLatencyP90Ms:   ["number", "ms"],
+    feedLatencyP99Ms:   ["number", "ms"],
+    clockSkewMs:        ["number", "ms"],
+
+    // time
+    hourOfDay:          ["number", "count"],
+    dayOfWeek:          ["number", "count"],
+    isWeekend:          ["boolean", null],
+
+    // detector specific
+    breakoutLevel:      ["number", "quote"],
+    breakoutBps:        ["number", "bps"],
+    flipFromAt:         ["number", "ms"],
+};
+
+for (const base of ["Btc", "Eth"]) {
+    Object.assign(SIGNAL_FIELDS, {
+        [`mkt${base}Slope`]:    ["number", "frac/s"],
+        [`mkt${base}SlopeZ`]:   ["number", "z"],
+        [`mkt${base}Vol30s`]:   ["number", "ann"],
+        [`mkt${base}VolRatio`]: ["number", "ratio"],
+        [`mkt${base}Ret60s`]:   ["number", "log"],
+    });
+}
+
+for (const { name } of TIMEFRAMES) {
+    Object.assign(SIGNAL_FIELDS, {
+        [`tf${name}_bars`]:      ["number", "count"],
+        [`tf${name}_rsi14`]:     ["number", "idx"],
+        [`tf${name}_ppo`]:       ["number", "pct"],
+        [`tf${name}_ppoSignal`]: ["number", "pct"],
+        [`tf${name}_ppoHist`]:   ["number", "pct"],
+        [`tf${name}_atr14`]:     ["number", "quote"],
+        [`tf${name}_atr14Pct`]:  ["number", "frac"],
+        [`tf${name}_ema9`]:      ["number", "quote"],
+        [`tf${name}_ema21`]:     ["number", "quote"],
+        [`tf${name}_ema50`]:     ["number", "quote"],
+    });
+}
+
+const PRICE_ROW_FIELDS = {
+    t_offset_s:       ["number", "s"],
+    price:            ["number", "quote"],
+    volume:           ["number", "usd"],
+    ret:              ["number", "frac"],
+    ret_dir:          ["number", "frac"],
+    ret_net:          ["number", "frac"],
+    btc_ret:          ["number", "frac"],
+    excess_ret_dir:   ["number", "frac"],
+    beta_adj_ret_dir: ["number", "frac"],
+    basket_ret:       ["number", "frac"],
+    basket_excess_ret_dir: ["number", "frac"],
+};
+
+const BARRIER_FIELDS = {
+    id:           ["string", null],
+    tp_mult:      ["number", "ratio"],
+    sl_mult:      ["number", "ratio"],
+    horizon_s:    ["number", "s"],
+    tp_pct:       ["number", "frac"],
+    sl_pct:       ["number", "frac"],
+    outcome:      ["string", null],
+    label:        ["number", null],
+    hit_s:        ["number", "s"],
+    exit_price:   ["number", "quote"],
+    exit_ret_dir: ["number", "frac"],
+    exit_ret_net: ["number", "frac"],
+    ambiguous:    ["boolean", null],
+};
+
+const PRICE_FIELDS = {
+    schemaVersion: ["number", null],
+    signal_id:     ["objectId", null],
+    symbol:        ["string", null],
+    exchange:      ["string", null],
+    direction:     ["string", null],
+    entry_price:   ["number", "quote"],
+    sigma30m:      ["number", "log"],
+    atr_pct:       ["number", "frac"],
+    barriers:      ["array", BARRIER_FIELDS],
+    mfe_ret_dir:   ["number", "frac"],
+    mfe_s:         ["number", "s"],
+    mae_ret_dir:   ["number", "frac"],
+    mae_s:         ["number", "s"],
+    cost_pct:      ["number", "frac"],
+    benchmark_pair: ["string", null],
+    btc_beta:      ["number", "ratio"],
+    btc_beta_points: ["number", "count"],
+    basket_size:   ["number", "count"],
+    prices:        ["array", PRICE_ROW_FIELDS],
+};
+
+const BOOK_SNAPSHOT_FIELDS = {
+    t_offset_s:           ["number", "s"],
+    ts:                   ["number", "ms"],
+    source:               ["string", null],
+    bid_sum_base:         ["number", "base"],
+    ask_sum_base:         ["number", "base"],
+    bid_sum_usdt:         ["number", "usd"],
+    ask_sum_usdt:         ["number", "usd"],
+    total_liquidity_usdt: ["number", "usd"],
+    imbalance_usdt:       ["number", "ratio"],
+    mid_price:            ["number", "quote"],
+    microprice:           ["number", "quote"],
+    best_bid:             ["number", "quote"],
+    best_ask:             ["number", "quote"],
+    spread_bps:           ["number", "bps"],
+};
+
+const BOOK_POINT_FIELDS = {
+    t_offset_ms:          ["number", "ms"],
+    frame_age_ms:         ["number", "ms"],
+    imbalance_usdt:       ["number", "ratio"],
+    spread_bps:           ["number", "bps"],
+    bid_sum_usdt:         ["number", "usd"],
+    ask_sum_usdt:         ["number", "usd"],
+    total_liquidity_usdt: ["number", "usd"],
+    mid_price:            ["number", "quote"],
+    microprice:           ["number", "quote"],
+    microprice_dev_bps:   ["number", "bps"],
+};
+
+const BOOK_GAP_FIELDS = {
+    from_ms: ["number", "ms"],
+    to_ms:   ["number", "ms"],
+};
+
+const BOOK_FIELDS = {
+    schemaVersion: ["number", null],
+    signal_id:     ["objectId", null],
+    symbol:        ["string", null],
+    snapshots:     ["array", BOOK_SNAPSHOT_FIELDS],
+    trajectory_window_ms: ["number", "ms"],
+    trajectory_step_ms:   ["number", "ms"],
+    trajectory_frames:    ["number", "count"],
+    trajectory_coverage:  ["number", "frac"],
+    trajectory_gaps:      ["array", BOOK_GAP_FIELDS],
+    trajectory:           ["array", BOOK_POINT_FIELDS],
+};
+
+/**
+ * Current version and declaration per collection. An "array" field
+ * declares the fields of its elements in place of a unit.
+ */
+export const SCHEMAS = {
+    signals: {
+        version: 1,
+        required: ["schemaVersion", "exchange", "createdAt", "symbol", "signalTimestampMs", "triggerPrice", "direction", "detectorId"],
+        fields: { _id: ["objectId", null], ...SIGNAL_FIELDS },
+    },
+    prices: {
+        version: 2,             // 2: outcome labels – barriers, excursions, net and benchmark-relative returns
+        required: ["schemaVersion", "signal_id", "symbol", "exchange", "direction", "prices"],
+        fields: { _id: ["objectId", null], ...PRICE_FIELDS },
+    },
+    orderbooks: {
+        version: 2,             // 2: snapshot source and microprice, post-signal trajectory
+        required: ["schemaVersion", "signal_id", "symbol"],
+        fields: { _id: ["objectId", null], ...BOOK_FIELDS },
+    },
+};
+
+export function schemaVersion(collection) {
+    return SCHEMAS[collection].version;
+}
+
+function typeOf(value) {
+    if (value instanceof Date) return "date";
+    if (Array.isArray(value)) return "array";
+    if (value?._bsontype === "ObjectId") return "objectId";
+    return typeof value;
+}
+
+function checkFields(fields, doc, path, problems) {
+    for (const [name, value] of Object.entries(doc)) {
+        const decl = fields[name];
+
+        if (!decl) {
+            problems.push(`${path}${name}: undeclared field`);
+            continue;
+        }
+        if (value === null || value === undefined) continue;
+
+        const [type, unit] = decl;
+        const actual = typeOf(value);
+
+        if (actual !== type) {
+            problems.push(`${path}${name}: expected ${type}, got ${actual}`);
+        } else if (type === "number" && !Number.isFinite(value)) {
+            problems.push(`${path}${name}: not finite (${value})`);
+        } else if (type === "array") {
+            value.forEach((item, i) => checkFields(unit, item ?? {}, `${path}${name}.${i}.`, problems));
+        }
+    }
+}
+
+/**
+ * Problems of a document against the current schema of `collection`
+ * (empty when it is valid).
+ */
+export function validateDocument(collection, doc) {
+    const schema = SCHEMAS[collection];
+    const problems = [];
+
+    if (doc.schemaVersion !== undefined && doc.schemaVersion !== schema.version) {
+        problems.push(`schemaVersion: expected ${schema.version}, got ${doc.schemaVersion}`);
+    }
+
+    for (const name of schema.required) {
+        if (doc[name] === null || doc[name] === undefined) problems.push(`${name}: required`);
+    }
+
+    checkFields(schema.fields, doc, "", problems);
+    return problems;
+}
+
+const reported = new Set();
+
+/**
+ * Validate a document before it is written, as configured by
+ * SCHEMA_VALIDATION. Returns false when it must not be stored.
+ */
+export function admitDocument(collection, doc) {
+    if (params.SCHEMA_VALIDATION === "off") {
+        return true;
+    }
+
+    const problems = validateDocument(collection, doc);
+
+    if (!problems.length) {
+        return true;
+    }
+
+    // Log each distinct problem once; an invalid feature tends to stay invalid.
+    const fresh = problems.filter(p => !reported.has(`${collection}:${p}`));
+    fresh.forEach(p => reported.add(`${collection}:${p}`));
+
+    if (fresh.length) {
+        console.warn(`[schema] ${collection} document for ${doc.symbol ?? "?"} is invalid: ${fresh.join("; ")}`);
+    }
+
+    return params.SCHEMA_VALIDATION !== "reject";
+}
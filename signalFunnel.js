@@ -0,0 +1,157 @@
+import mongo from "./mongo.js";
+import exchange from "./exchange.js";
+import params from "./parameters.js";
+import clock from "./clock.js";
+
+// ---------------------------------------------------------------------
+// Rejection funnel. Every check tick of every monitor ends up in exactly
+// one bucket: a monitor-wide precondition (warm-up, stale feed, broken
+// book), or – once the detectors ran – per detector the first gate that
+// failed, "cooldown" or "fired". Counters are flushed to the `funnel`
+// collection as one document per symbol and interval.
+//
+// Near misses – ticks where a detector failed exactly one threshold gate,
+// and by little – are buffered and written to `near_misses` on the same
+// schedule, at most one per symbol, detector and gate per
+// NEAR_MISS_MIN_INTERVAL_MS.
+// ---------------------------------------------------------------------
+
+const MAX_BUFFERED_NEAR_MISSES = 5_000;
+
+const counters = new Map();           // symbol -> { since, ticks, monitorGates, detectors }
+const nearMissLastAt = new Map();     // "<symbol>:<detectorId>:<gate>" -> ms
+let nearMisses = [];
+let droppedNearMisses = 0;
+let flushTimer = null;
+
+function countersFor(symbol, now) {
+    let c = counters.get(symbol);
+
+    if (!c) {
+        c = { since: now, ticks: 0, monitorGates: {}, detectors: {} };
+        counters.set(symbol, c);
+    }
+
+    return c;
+}
+
+export function recordTick(symbol, now = clock.now()) {
+    countersFor(symbol, now).ticks++;
+}
+
+export function recordMonitorReject(symbol, gate, now = clock.now()) {
+    const gates = countersFor(symbol, now).monitorGates;
+    gates[gate] = (gates[gate] ?? 0) + 1;
+}
+
+/**
+ * `outcome` is the first failed gate, "cooldown" or "fired".
+ */
+export function recordDetectorOutcome(symbol, detectorId, outcome, now = clock.now()) {
+    const detectors = countersFor(symbol, now).detectors;
+    const d = detectors[detectorId] ??= { evaluated: 0, outcomes: {} };
+
+    d.evaluated++;
+    d.outcomes[outcome] = (d.outcomes[outcome] ?? 0) + 1;
+}
+
+/**
+ * Whether a near miss of this symbol / detector / gate may be kept now
+ * (rate limit). Claims the slot when it returns true.
+ */
+export function admitNearMiss(symbol, detectorId, gate, now = clock.now()) {
+    const key = `${symbol}:${detectorId}:${gate}`;
+
+    if (now - (nearMissLastAt.get(key) ?? -Infinity) < params.NEAR_MISS_MIN_INTERVAL_MS) {
+        return false;
+    }
+
+    nearMissLastAt.set(key, now);
+    return true;
+}
+
+export function queueNearMiss(doc) {
+    if (nearMisses.length >= MAX_BUFFERED_NEAR_MISSES) {
+        droppedNearMisses++;
+        return;
+    }
+
+    nearMisses.push(doc);
+}
+
+export function getFunnel(symbol) {
+    return counters.get(symbol) ?? null;
+}
+
+/**
+ * Totals over all symbols, e.g. for the end-of-replay report.
+ */
+export function summarizeFunnel() {
+    const summary = { ticks: 0, monitorGates: {}, detectors: {} };
+
+    for (const c of counters.values()) {
+        summary.ticks += c.ticks;
+
+        for (const [gate, n] of Object.entries(c.monitorGates)) {
+            summary.monitorGates[gate] = (summary.monitorGates[gate] ?? 0) + n;
+        }
+
+        for (const [id, d] of Object.entries(c.detectors)) {
+            const s = summary.detectors[id] ??= { evaluated: 0, outcomes: {} };
+            s.evaluated += d.evaluated;
+
+            for (const [outcome, n] of Object.entries(d.outcomes)) {
+                s.outcomes[outcome] = (s.outcomes[outcome] ?? 0) + n;
+            }
+        }
+    }
+
+    return summary;
+}
+
+export async function flushFunnel(now = clock.now()) {
+    const docs = [...counters.entries()].map(([symbol, c]) => ({
+        exchange: exchange.id,
+        symbol,
+        from: new Date(c.since),
+        to: new Date(now),
+        ticks: c.ticks,
+        monitorGates: c.monitorGates,
+        detectors: c.detectors
+    }));
+    const misses = nearMisses;
+    const dropped = droppedNearMisses;
+
+    counters.clear();
+    nearMisses = [];
+    droppedNearMisses = 0;
+
+    if (docs.length) {
+        await mongo.getCollection("funnel").insertMany(docs, { ordered: false });
+    }
+
+    if (misses.length) {
+        await mongo.getCollection("near_misses").insertMany(misses, { ordered: false });
+    }
+
+    if (dropped) {
+        console.warn(`[funnel] Dropped ${dropped} near miss(es) – buffer full`);
+    }
+}
+
+export function startFunnelFlush(intervalMs = params.FUNNEL_FLUSH_INTERVAL_MS) {
+    stopFunnelFlush();
+
+    flushTimer = setInterval(async () => {
+        try {
+            await flushFunnel();
+        } catch (err) {
+            console.error("[funnel] Flush failed:", err.message);
+        }
+    }, intervalMs);
+}
+
+export function stopFunnelFlush() {
+    clearInterval(flushTimer);
+    flushTimer = null;
+}
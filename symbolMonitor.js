@@ -1,9 +1,22 @@
-const EXCHANGE = "gate";
-
 import { Queue } from "bullmq";
 import mongo from "./mongo.js";
+import exchange from "./exchange.js";
 import params from "./parameters.js";
 import CircularBuffer from "./circularBuffer.js";
+import { RollingWindow, TimeWindow } from "./rollingStats.js";
+import clock from "./clock.js";
+import LocalOrderBook from "./orderBook.js";
+import MultiTimeframeIndicators from "./indicators.js";
+import TradeFlow from "./tradeFlow.js";
+import EpisodeTracker, { saveEpisode } from "./episodes.js";
+import { schemaVersion, admitDocument } from "./schema.js";
+import { getClockOffsetMs, getLatencyForSymbol } from "./feedLatency.js";
+import { syncDetectors } from "./detectors.js";
+import { getMarketContext, marketFeatures } from "./marketContext.js";
+import { startBookCapture } from "./bookCapture.js";
+import { gate, condition, compositeScore, gradeFor } from "./gates.js";
+import { recordTick, recordMonitorReject, recordDetectorOutcome, admitNearMiss, queueNearMiss } from "./signalFunnel.js";
+import { getConfigVersion, resolveConfig } from "./config.js";
 
 // ---------------------------------------------------------------------
 // Constants for the new logic – tweak in parameters.js if desired
@@ -12,32 +25,83 @@ const PRICE_SLOPE_LOOKBACK_MS = 2_000;   // look‑back horizon (2 s)
 const ALPHA_TAKER_RATIO       = 0.20;    // EWMA smoothing for flow ratio
 const MAX_TAKER_RATIO         = 100;     // hard cap to avoid infinities
 
+// Warm state ----------------------------------------------------------
+// Fields carried across restarts, with the snapshot age up to which each
+// one is still worth restoring (roughly its own memory). ANY_AGE fields
+// last as long as the snapshot itself, whose age limit – the span of the
+// return history – is WARM_STATE_MAX_AGE_MS in parameters.js. Time-stamped
+// buffers are filtered by the calculations themselves.
+const ANY_AGE = Infinity;
+
+const WARM_STATE_MAX_AGE_MS = {
+    ewma5mVolumeBaseline: ANY_AGE,
+    ewma1mVolumeBaseline: ANY_AGE,
+    ewma1sVolumeFast:     10_000,
+    prevEwma1s:           10_000,
+    accelHistory:         60_000,
+    accelSigma:           60_000,
+
+    priceSlope:           10_000,
+    priceSlopeHist:       60_000,
+    priceSlopeSigma:      60_000,
+
+    returnHistory:        ANY_AGE,
+    returns30s:           30_000,
+    volatility30s:        30_000,
+    volatility5m:         ANY_AGE,
+    volatilityRatio:      30_000,
+
+    effectiveSpreadHistory: 60_000,
+    avgEffectiveSpread:     60_000,
+    tradeImbalanceHistory:  60_000,
+    takerRatioEwma:         30_000,
+
+    rsiPriceHistory: ANY_AGE,
+    rsiValue:        ANY_AGE,
+    avgGain:         ANY_AGE,
+    avgLoss:         ANY_AGE,
+    emaFast:         ANY_AGE,
+    emaSlow:         ANY_AGE,
+    ppoLine:         ANY_AGE,
+    signalLine:      ANY_AGE,
+    ppoHistogram:    ANY_AGE,
+    ema9:            ANY_AGE,
+    ema21:           ANY_AGE,
+    ema50:           ANY_AGE,
+
+    imbalanceHistory:  30_000,
+    imbalanceWindow5:  30_000,
+    imbalanceWindow10: 30_000,
+    imbalanceMA5:      30_000,
+    imbalanceMA20:     30_000,
+    previousImbalance: 30_000,
+};
+
+const EXCHANGE = exchange.id;
+
 // Queues --------------------------------------------------------------
 const priceQueue = new Queue(`${EXCHANGE}_price`);
 const orderQueue = new Queue(`${EXCHANGE}_order`);
 
-// Expected exec parameters (unchanged) --------------------------------
-const EXPECTED_TRADE_SIZE_USD = 500;
-const MIN_EXECUTION_MULTIPLIER = 5;
-const MIN_24H_VOLUME_USD = 1_000_000;
-
 class SymbolMonitor {
-    constructor(symbol, marketCapTier = "mid") {
+    constructor(symbol, marketCapTier = "mid", opts = {}) {
         this.symbol = symbol;
         this.exchange = EXCHANGE;
         this.marketCapTier = marketCapTier;
+        this.dryRun = opts.dryRun ?? false;   // replay: log signals, never persist or enqueue
+        this.episodes = new EpisodeTracker(symbol);
 
         /* ----------------------------------------------------------
          *   VOLUME / ACCELERATION TRACKING
          * --------------------------------------------------------*/
-        this.accelHistory = new CircularBuffer(60);   // 15 s (60 × 250 ms)
+        this.accelHistory = new RollingWindow(60);    // 15 s (60 × 250 ms)
         this.accelSigma   = 0;
 
         /* ----------------------------------------------------------
          *   PRICE MOMENTUM TRACKING
          * --------------------------------------------------------*/
         this.priceSlope     = 0;                      // pct / sec  (FIX‑1)
-        this.priceSlopeHist = new CircularBuffer(40); // ~10 s
+        this.priceSlopeHist = new RollingWindow(40);  // ~10 s
         this.priceSlopeSigma = 0;
 
         /* ----------------------------------------------------------
@@ -77,6 +141,9 @@ class SymbolMonitor {
         this.takerFlowRatio           = 0;
         this.takerRatioEwma           = 0;   // FIX‑2: smoothed ratio
 
+        // VWAP, large prints, intensity, same-side runs (tradeFlow.js)
+        this.tradeFlow = new TradeFlow();
+
         /* ----------------------------------------------------------
          *   PRICE TRACKING
          * --------------------------------------------------------*/
@@ -87,7 +154,8 @@ class SymbolMonitor {
         /* ----------------------------------------------------------
          *   VOLATILITY TRACKING (returns)
          * --------------------------------------------------------*/
-        this.returnHistory         = new CircularBuffer(300); // 5 minutes of 1‑s returns
+        this.returnHistory         = new TimeWindow(300_000, 300, r => r.return); // 5 minutes of 1‑s returns
+        this.returns30s            = new TimeWindow(30_000, 40, r => r.return);
         this.lastReturnCalcTime    = 0;
         this.lastPriceForReturn    = 0;
         this.volatility30s         = 0;  // annualised
@@ -97,7 +165,7 @@ class SymbolMonitor {
         /* ----------------------------------------------------------
          *   MICROSTRUCTURE QUALITY
          * --------------------------------------------------------*/
-        this.effectiveSpreadHistory = new CircularBuffer(60);
+        this.effectiveSpreadHistory = new RollingWindow(60);
         this.avgEffectiveSpread     = 0;
         this.tradeImbalanceHistory  = new CircularBuffer(60);
         this.avgTradeImbalance      = 0;
@@ -129,6 +197,9 @@ class SymbolMonitor {
         this.emaAlignmentStrength = 0;
         this.priceAboveEma9  = false;
 
+        // Bar-based, per timeframe (1 s / 15 s / 1 m / 5 m) ----------
+        this.indicators = new MultiTimeframeIndicators();
+
         /* ----------------------------------------------------------
          *   ORDER BOOK IMBALANCE
          * --------------------------------------------------------*/
@@ -137,13 +208,23 @@ class SymbolMonitor {
         this.depth5AskVolume   = 0;
         this.depth5TotalVolume = 0;
         this.depth5VolumeRatio = 0;
-        this.imbalanceHistory  = new CircularBuffer(20);
+        this.imbalanceHistory  = new RollingWindow(20);
+        this.imbalanceWindow5  = new RollingWindow(5);
+        this.imbalanceWindow10 = new RollingWindow(10);
         this.imbalanceMA5      = 0;
         this.imbalanceMA20     = 0;
         this.previousImbalance = 0;
         this.imbalanceVelocity   = 0;
         this.imbalanceVolatility = 0;
 
+        /* ----------------------------------------------------------
+         *   LOCAL L2 BOOK (diff stream)
+         * --------------------------------------------------------*/
+        this.orderBook = new LocalOrderBook(symbol, {
+            fetchSnapshots: opts.fetchBookSnapshots ?? true,
+            onSnapshot: opts.onBookSnapshot ?? null
+        });
+
         /* ----------------------------------------------------------
          *   24‑H TICKER DATA
          * --------------------------------------------------------*/
@@ -152,18 +233,52 @@ class SymbolMonitor {
         this.ticker24hrHigh          = 0;
         this.ticker24hrLow           = 0;
 
+        /* ----------------------------------------------------------
+         *   FEED FRESHNESS
+         * --------------------------------------------------------*/
+        this.feedUpdatedAt   = {};       // stream type -> last update (clock ms)
+        this.lastStaleReject = null;     // { at, feeds } of the latest stale-feed refusal
+        this.staleRejectCount = 0;
+        this.warmStartSource = null;     // "snapshot" | "bars" when state was carried over at startup
+
+        /* ----------------------------------------------------------
+         *   LAYERED CONFIG (global -> tier -> symbol, hot reloaded)
+         * --------------------------------------------------------*/
+        this.cfg        = null;
+        this.cfgVersion = -1;
+        this.cfgTier    = null;
+        this.detectorsFromConfig = !opts.detectors;   // explicit detectors are left alone on reload
+
         /* ----------------------------------------------------------
          *   SIGNAL CONTROL & DB refs
          * --------------------------------------------------------*/
-        this.lastSignalTriggerTime = 0;
+        this.detectors  = opts.detectors ?? [];
+        this.lastSignalTriggerTime = {};    // "<detectorId>:<direction>" -> ms, separate cooldowns
+        this.lastRejection      = null;     // monitor-wide gate that stopped the last tick
+        this.detectorRejections = {};       // detectorId -> structured rejection of the last tick
         this.db         = null;
         this.collection = null;
+
+        this.refreshConfig();
+    }
+
+    /* -----------------------------------------------------------------
+     *                          CONFIG
+     * ----------------------------------------------------------------*/
+    refreshConfig() {
+        const version = getConfigVersion();
+        if (this.cfg && version === this.cfgVersion && this.cfgTier === this.marketCapTier) return;
+
+        this.cfg        = resolveConfig(this.symbol, this.marketCapTier);
+        this.cfgVersion = version;
+        this.cfgTier    = this.marketCapTier;
+        if (this.detectorsFromConfig) this.detectors = syncDetectors(this.detectors, this.cfg.DETECTORS);
     }
 
     /* -----------------------------------------------------------------
      *                     TIME CACHE HELPERS
      * ----------------------------------------------------------------*/
-    updateTimeCache(now = Date.now()) {
+    updateTimeCache(now = clock.now()) {
         if (now - this.lastTimeCacheUpdate >= params.TIME_CACHE_DURATION_MS) {
             const date = new Date(now);
             this.cachedDayOfWeek = date.getUTCDay();
@@ -179,20 +294,15 @@ class SymbolMonitor {
     updateVolatility(currentPrice, now) {
         if (this.lastPriceForReturn > 0 && now - this.lastReturnCalcTime >= 1000) {
             const logReturn = Math.log(currentPrice / this.lastPriceForReturn);
-            this.returnHistory.add({ time: now, return: logReturn });
-
-            const allReturns = this.returnHistory.toArray();
-            const cutoff30s = now - 30000;
-            const cutoff5m  = now - 300000;
-
-            const returns30s = allReturns.filter(r => r.time > cutoff30s).map(r => r.return);
-            const returns5m  = allReturns.filter(r => r.time > cutoff5m ).map(r => r.return);
+            const r = { time: now, return: logReturn };
+            this.returnHistory.add(r);
+            this.returns30s.add(r);
 
-            if (returns30s.length >= 10) {
-                this.volatility30s = this.calculateAnnualizedVolatility(returns30s);
+            if (this.returns30s.size >= 10) {
+                this.volatility30s = this.calculateAnnualizedVolatility(this.returns30s);
             }
-            if (returns5m.length >= 30) {
-                this.volatility5m = this.calculateAnnualizedVolatility(returns5m);
+            if (this.returnHistory.size >= 30) {
+                this.volatility5m = this.calculateAnnualizedVolatility(this.returnHistory);
                 this.volatilityRatio = this.volatility5m > 0 ? this.volatility30s / this.volatility5m : 1.0;
             }
 
@@ -205,10 +315,8 @@ class SymbolMonitor {
     }
 
     calculateAnnualizedVolatility(returns) {
-        if (returns.length < 2) return 0;
-        const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
-        const variance = returns.reduce((s, r) => s + (r - mean) ** 2, 0) / (returns.length - 1);
-        return Math.sqrt(variance) * Math.sqrt(365 * 24 * 60 * 60);
+        if (returns.size < 2) return 0;
+        return returns.sampleStd() * Math.sqrt(365 * 24 * 60 * 60);
     }
 
     /* -----------------------------------------------------------------
@@ -288,15 +396,15 @@ class SymbolMonitor {
         const period = 9;
         if (this.rsiPriceHistory.size < 2) return;
 
-        const prices = this.rsiPriceHistory.toArray();
-        const priceChange = currentPrice - prices[prices.length - 2];
+        const prices = this.rsiPriceHistory;
+        const priceChange = currentPrice - prices.get(prices.size - 2);
         const gain = Math.max(0, priceChange);
         const loss = Math.max(0, -priceChange);
 
         if (this.rsiPriceHistory.size === period + 1) {
             let totalGains = 0, totalLosses = 0;
-            for (let i = 1; i < prices.length; i++) {
-                const delta = prices[i] - prices[i - 1];
+            for (let i = 1; i < prices.size; i++) {
+                const delta = prices.get(i) - prices.get(i - 1);
                 totalGains += Math.max(0, delta);
                 totalLosses += Math.max(0, -delta);
             }
@@ -320,6 +428,7 @@ class SymbolMonitor {
      *                    ORDER BOOK SNAPSHOT / IMBALANCE
      * ----------------------------------------------------------------*/
     updateDepthSnapshot(data) {
+        this.markFeedUpdate("depth5@100ms");
         if (!data.bids?.length || !data.asks?.length) return;
         let bidSum = 0, askSum = 0;
         for (let i = 0; i < Math.min(5, data.bids.length); i++) bidSum += Number(data.bids[i][1]);
@@ -336,28 +445,50 @@ class SymbolMonitor {
 
     updateImbalanceFeatures(currentImbalance) {
         this.imbalanceHistory.add(currentImbalance);
+        this.imbalanceWindow5.add(currentImbalance);
+        this.imbalanceWindow10.add(currentImbalance);
         this.imbalanceVelocity = currentImbalance - this.previousImbalance;
         this.previousImbalance = currentImbalance;
 
-        const arr = this.imbalanceHistory.toArray();
-        if (arr.length >= 5) this.imbalanceMA5  = arr.slice(-5).reduce((a, b) => a + b, 0) / 5;
-        if (arr.length >= 20) this.imbalanceMA20 = arr.reduce((a, b) => a + b, 0) / arr.length;
+        if (this.imbalanceWindow5.size >= 5) this.imbalanceMA5 = this.imbalanceWindow5.mean;
+        if (this.imbalanceHistory.size >= 20) this.imbalanceMA20 = this.imbalanceHistory.mean;
         this.imbalanceVolatility = this.calculateImbalanceVolatility();
     }
 
     calculateImbalanceVolatility() {
-        const windowSize = 10;
-        if (this.imbalanceHistory.size < windowSize) return 0;
-        const vals = this.imbalanceHistory.toArray().slice(-windowSize);
-        const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
-        const varr = vals.reduce((s, x) => s + (x - mean) ** 2, 0) / vals.length;
-        return Math.sqrt(varr);
+        if (this.imbalanceWindow10.size < 10) return 0;
+        return this.imbalanceWindow10.std();
+    }
+
+    applyDepthUpdate(data) {
+        this.markFeedUpdate("depth@100ms");
+        this.orderBook.onDiff(data);
+    }
+
+    getL2BookFeatures() {
+        const minDepthNeeded = this.cfg.EXPECTED_TRADE_SIZE_USD * this.cfg.MIN_EXECUTION_MULTIPLIER;
+        if (!this.orderBook.isSynced()) return { l2Synced: false };
+
+        const buy  = this.orderBook.depthForNotional("asks", minDepthNeeded);
+        const sell = this.orderBook.depthForNotional("bids", minDepthNeeded);
+        return {
+            l2Synced: true,
+            l2BuyImpactBps: buy.filled ? buy.slippageBps : null,
+            l2SellImpactBps: sell.filled ? sell.slippageBps : null,
+            l2BuyLevelsUsed: buy.levelsUsed,
+            l2SellLevelsUsed: sell.levelsUsed,
+            l2BidNotional25Bps: this.orderBook.notionalWithinBps("bids", 25),
+            l2AskNotional25Bps: this.orderBook.notionalWithinBps("asks", 25),
+            l2BidNotional100Bps: this.orderBook.notionalWithinBps("bids", 100),
+            l2AskNotional100Bps: this.orderBook.notionalWithinBps("asks", 100),
+        };
     }
 
     /* -----------------------------------------------------------------
      *                       BOOK TICKER UPDATE
      * ----------------------------------------------------------------*/
     applyBookTickerUpdate(data) {
+        this.markFeedUpdate("bookTicker");
         const bid = parseFloat(data.b), ask = parseFloat(data.a);
         if (Number.isFinite(bid) && bid > 0) this.bestBid = bid;
         if (Number.isFinite(ask) && ask > 0) this.bestAsk = ask;
@@ -368,6 +499,7 @@ class SymbolMonitor {
      *                          AGG TRADE ADD
      * ----------------------------------------------------------------*/
     addAggTrade(tradeData) {
+        this.markFeedUpdate("aggTrade");
         const trade = {
             price: parseFloat(tradeData.p),
             quantity: parseFloat(tradeData.q),
@@ -375,13 +507,13 @@ class SymbolMonitor {
             isBuyerMaker: tradeData.m,
         };
         this.aggTrades.add(trade);
+        this.tradeFlow.onTrade(trade);
         this.lastPrice = trade.price;
 
         if (this.bidAskMidpoint > 0) {
             const effSpreadBps = Math.abs(trade.price - this.bidAskMidpoint) / this.bidAskMidpoint * 1e4;
             this.effectiveSpreadHistory.add(effSpreadBps);
-            const spreads = this.effectiveSpreadHistory.toArray();
-            this.avgEffectiveSpread = spreads.reduce((a, b) => a + b, 0) / spreads.length;
+            this.avgEffectiveSpread = this.effectiveSpreadHistory.mean;
         }
 
         const imb = trade.isBuyerMaker ? -trade.quantity : trade.quantity;
@@ -389,6 +521,7 @@ class SymbolMonitor {
     }
 
     applyTickerUpdate(ticker) {
+        this.markFeedUpdate("ticker");
         this.ticker24hrVolumeUsdt    = parseFloat(ticker.q);
         this.ticker24hrPriceChangePct = parseFloat(ticker.P);
         this.ticker24hrHigh          = parseFloat(ticker.h);
@@ -396,6 +529,11 @@ class SymbolMonitor {
         this.tickerLastPrice         = parseFloat(ticker.c);
     }
 
+    // Closed 1 s bar from the price tape (exchange time).
+    onSecBar(bar) {
+        this.indicators.onSecBar(bar);
+    }
+
     getHistoricalPrice(targetTimeMs) {
         for (let i = this.priceBuckets.size - 1; i >= 0; i--) {
             const bucket = this.priceBuckets.get(i);
@@ -407,18 +545,19 @@ class SymbolMonitor {
     /* -----------------------------------------------------------------
      *                 PERIODIC CALCULATIONS  (RUN EVERY 250 ms)
      * ----------------------------------------------------------------*/
-    performPeriodicCalculations() {
-        const now = Date.now();
-        const oneSecAgo = now - 1000;
+    performPeriodicCalculations(now = clock.now()) {
+        // Trade event times are exchange-clock; shift the window by the
+        // measured skew so the "1 s" sum really covers one second.
+        const exchangeNow = now + getClockOffsetMs();
+        const oneSecAgo = exchangeNow - 1000;
 
         // Update volatility using lastPrice
         if (this.lastPrice > 0) this.updateVolatility(this.lastPrice, now);
 
         /* -- 1‑SECOND VOLUME ---------------------------------------*/
         let vol1s = 0, trades1s = 0, buyUSDT = 0, sellUSDT = 0;
-        const trades = this.aggTrades.toArray();
-        for (let i = trades.length - 1; i >= 0; i--) {
-            const t = trades[i];
+        for (let i = this.aggTrades.size - 1; i >= 0; i--) {
+            const t = this.aggTrades.get(i);
             if (t.eventTime < oneSecAgo) break;
             const notional = t.price * t.quantity;
             vol1s   += notional;
@@ -430,6 +569,29 @@ class SymbolMonitor {
         this.current1sTakerBuyVolume  = buyUSDT;
         this.current1sTakerSellVolume = sellUSDT;
 
+        this.updateVolumeStats(vol1s);
+        this.updatePriceBucket(now);
+
+        /* -- EMA / RSI / MACD -------------------------------------*/
+        this.updateEMAAlignment(this.lastPrice);
+        this.updateRSI(this.lastPrice);
+        this.updateMACD(this.lastPrice);
+
+        /* -- TAKER FLOW METRICS  (FIX‑2) ---------------------------*/
+        const rawRatio = sellUSDT > 0 ? buyUSDT / sellUSDT : (buyUSDT > 0 ? MAX_TAKER_RATIO : 0);
+        const clippedRatio = Math.min(rawRatio, MAX_TAKER_RATIO);
+        this.takerRatioEwma = ALPHA_TAKER_RATIO * clippedRatio + (1 - ALPHA_TAKER_RATIO) * this.takerRatioEwma; // EWMA smooth
+
+        this.takerFlowImbalance = (buyUSDT - sellUSDT) / (buyUSDT + sellUSDT + 1e-8);
+        this.takerFlowMagnitude = buyUSDT + sellUSDT;
+        this.takerFlowRatio     = clippedRatio; // still export raw ratio (clipped)
+
+        this.tradeFlow.update(exchangeNow);
+
+        this.updatePriceSlope(now);
+    }
+
+    updateVolumeStats(vol1s) {
         /* -- EWMA VOLUME & ACCEL ----------------------------------*/
         if (this.ewma5mVolumeBaseline === 0 && vol1s > 0) this.ewma5mVolumeBaseline = vol1s;
         this.ewma1sVolumeFast = params.EWMA_ALPHA_VOL_FAST * vol1s + (1 - params.EWMA_ALPHA_VOL_FAST) * this.ewma1sVolumeFast;
@@ -439,6 +601,12 @@ class SymbolMonitor {
         this.volumeAccel = this.ewma1sVolumeFast - this.prevEwma1s;
         this.prevEwma1s  = this.ewma1sVolumeFast;
 
+        /* -- VOLUME ACCEL SIGMA -----------------------------------*/
+        this.accelHistory.add(this.volumeAccel);
+        if (this.accelHistory.size >= 20) this.accelSigma = this.accelHistory.std();
+    }
+
+    updatePriceBucket(now) {
         /* -- PRICE BUCKET (lastPrice may be 0 early on) -------------*/
         if (this.lastPrice > 0) {
             const bucketFloor = Math.floor(now / params.PRICE_BUCKET_DURATION_MS) * params.PRICE_BUCKET_DURATION_MS;
@@ -450,30 +618,9 @@ class SymbolMonitor {
                 if (last && last.time === bucketFloor) last.price = this.lastPrice;
             }
         }
+    }
 
-        /* -- EMA / RSI / MACD -------------------------------------*/
-        this.updateEMAAlignment(this.lastPrice);
-        this.updateRSI(this.lastPrice);
-        this.updateMACD(this.lastPrice);
-
-        /* -- TAKER FLOW METRICS  (FIX‑2) ---------------------------*/
-        const rawRatio = sellUSDT > 0 ? buyUSDT / sellUSDT : (buyUSDT > 0 ? MAX_TAKER_RATIO : 0);
-        const clippedRatio = Math.min(rawRatio, MAX_TAKER_RATIO);
-        this.takerRatioEwma = ALPHA_TAKER_RATIO * clippedRatio + (1 - ALPHA_TAKER_RATIO) * this.takerRatioEwma; // EWMA smooth
-
-        this.takerFlowImbalance = (buyUSDT - sellUSDT) / (buyUSDT + sellUSDT + 1e-8);
-        this.takerFlowMagnitude = buyUSDT + sellUSDT;
-        this.takerFlowRatio     = clippedRatio; // still export raw ratio (clipped)
-
-        /* -- VOLUME ACCEL SIGMA -----------------------------------*/
-        this.accelHistory.add(this.volumeAccel);
-        if (this.accelHistory.size >= 20) {
-            const arr = this.accelHistory.toArray();
-            const mean = arr.reduce((s, x) => s + x, 0) / arr.length;
-            const varr = arr.reduce((s, x) => s + (x - mean) ** 2, 0) / arr.length;
-            this.accelSigma = Math.sqrt(varr);
-        }
-
+    updatePriceSlope(now) {
         /* -- PRICE SLOPE  (FIX‑1) ---------------------------------*/
         if (this.lastPrice > 0) {
             const priceT = this.getHistoricalPrice(now - PRICE_SLOPE_LOOKBACK_MS) ?? this.lastPrice;
@@ -484,12 +631,30 @@ class SymbolMonitor {
             }
         }
         this.priceSlopeHist.add(this.priceSlope);
-        if (this.priceSlopeHist.size >= 20) {
-            const v = this.priceSlopeHist.toArray();
-            const m = v.reduce((s, x) => s + x, 0) / v.length;
-            const varr = v.reduce((s, x) => s + (x - m) ** 2, 0) / v.length;
-            this.priceSlopeSigma = Math.sqrt(varr);
+        if (this.priceSlopeHist.size >= 20) this.priceSlopeSigma = this.priceSlopeHist.std();
+    }
+
+    /* -----------------------------------------------------------------
+     *                        FEED FRESHNESS
+     * ----------------------------------------------------------------*/
+    markFeedUpdate(streamType) {
+        this.feedUpdatedAt[streamType] = clock.now();
+    }
+
+    getStaleFeeds(now) {
+        const stale = [];
+        for (const [streamType, maxAgeMs] of Object.entries(params.STALE_FEED_MS)) {
+            const last = this.feedUpdatedAt[streamType] ?? 0;
+            if (now - last > maxAgeMs) stale.push(streamType);
         }
+        return stale;
+    }
+
+    recordStaleReject(now, feeds) {
+        const changed = this.lastStaleReject?.feeds.join() !== feeds.join();
+        this.lastStaleReject = { at: now, feeds };
+        this.staleRejectCount++;
+        if (changed) console.warn(new Date(now), `[STALE] ${this.symbol} refusing to signal – stale feeds: ${feeds.join(", ")}`);
     }
 
     /* -----------------------------------------------------------------
@@ -498,81 +663,160 @@ class SymbolMonitor {
     getAbsoluteVolumeFloor() {
         const secInDay = 86_400;
         const quarterShare = this.ticker24hrVolumeUsdt / secInDay * 0.25;
-        const tierFloorMap = { mega: 1000, large: 600, mid: 500, small: 400, micro: 300 };
-        return Math.max(tierFloorMap[this.marketCapTier] ?? 400, quarterShare);
+        return Math.max(this.cfg.ABS_VOLUME_FLOOR_USD, quarterShare);
     }
 
     hasSufficientLiquidity() {
         if (this.bidAskMidpoint <= 0) return false;
-        const notionalBid = this.depth5BidVolume * this.bidAskMidpoint;
-        const notionalAsk = this.depth5AskVolume * this.bidAskMidpoint;
-        const weakestDepth = Math.min(notionalBid, notionalAsk);
-        const minDepthNeeded = EXPECTED_TRADE_SIZE_USD * MIN_EXECUTION_MULTIPLIER;
-        if (weakestDepth < minDepthNeeded) return false;
-        if (this.current1sVolumeSum < EXPECTED_TRADE_SIZE_USD) return false;
+        const minDepthNeeded = this.cfg.EXPECTED_TRADE_SIZE_USD * this.cfg.MIN_EXECUTION_MULTIPLIER;
+
+        if (this.orderBook.isSynced()) {
+            // Full book: both sides must absorb the notional within the impact budget.
+            const buy  = this.orderBook.depthForNotional("asks", minDepthNeeded);
+            const sell = this.orderBook.depthForNotional("bids", minDepthNeeded);
+            if (!buy.filled || !sell.filled) return false;
+            if (Math.max(buy.slippageBps, sell.slippageBps) > this.cfg.MAX_BOOK_IMPACT_BPS) return false;
+        } else {
+            // Fallback while the L2 book (re)syncs: top-5 snapshot only.
+            const notionalBid = this.depth5BidVolume * this.bidAskMidpoint;
+            const notionalAsk = this.depth5AskVolume * this.bidAskMidpoint;
+            const weakestDepth = Math.min(notionalBid, notionalAsk);
+            if (weakestDepth < minDepthNeeded) return false;
+        }
+
+        if (this.current1sVolumeSum < this.cfg.EXPECTED_TRADE_SIZE_USD) return false;
         return true;
     }
 
+    retire() {
+        this.orderBook.close();
+    }
+
     /* -----------------------------------------------------------------
-     *                               SIGNAL
+     *                  MARKET CONTEXT  (see marketContext.js)
      * ----------------------------------------------------------------*/
-    async checkSignal() {
-        const now = Date.now();
-        this.updateTimeCache(now);
-
-        if (this.lastPrice === 0 || this.ewma5mVolumeBaseline === 0) return null;
-        if (this.returnHistory.size < 30 || this.volatility30s === 0) return null;
-        if (this.ticker24hrVolumeUsdt < MIN_24H_VOLUME_USD) return null;
-        if (!this.hasSufficientLiquidity()) return null;
-        if (now - this.lastSignalTriggerTime < params.SIGNAL_COOLDOWN_MS) return null;
-
-        const maxVolByTier = { mega: 0.50, large: 0.80, mid: 1.20, small: 2.00, micro: 3.00 };
-        if (this.volatility5m > (maxVolByTier[this.marketCapTier] ?? 1.50) || this.volatility5m < 0.05) return null;
-
-        if (!Number.isFinite(this.bestBid) || !Number.isFinite(this.bestAsk) || this.bestBid <= 0 || this.bestAsk <= this.bestBid) return null;
+    getContextStats(now) {
+        if (this.lastPrice === 0 || this.returnHistory.size < 30) return null;
+
+        let return60s = 0;
+        for (let i = this.returnHistory.size - 1; i >= 0; i--) {
+            const r = this.returnHistory.get(i);
+            if (r.time <= now - 60_000) break;
+            return60s += r.return;
+        }
 
-        const spreadPct = (this.bestAsk - this.bestBid) / this.bestAsk;
-        const spreadBps = spreadPct * 1e4;
-        if (spreadPct > params.MAX_BID_ASK_SPREAD_PCT) return null;
-        const instantVol = this.volatility30s / Math.sqrt(365 * 24 * 60 * 60);
-        const normalizedSpread = spreadPct / (instantVol + 1e-4);
-        if (normalizedSpread > 3.0) return null;
+        return {
+            symbol: this.symbol,
+            slope: this.priceSlope,
+            slopeZ: this.priceSlopeSigma > 0 ? this.priceSlope / this.priceSlopeSigma : 0,
+            volatility30s: this.volatility30s,
+            volatilityRatio: this.volatilityRatio,
+            return60s,
+            volumeRatioFast1m: this.ewma1mVolumeBaseline > 0 ? this.ewma1sVolumeFast / this.ewma1mVolumeBaseline : 0,
+            takerFlowImbalance: this.takerFlowImbalance,
+            takerFlowMagnitude: this.takerFlowMagnitude,
+        };
+    }
 
-        /* -------- volume spike detection -------------------------*/
-        const ratioFast1m = this.ewma1mVolumeBaseline > 0 ? this.ewma1sVolumeFast / this.ewma1mVolumeBaseline : 0;
-        const ratio1m5m   = this.ewma5mVolumeBaseline > 0 ? this.ewma1mVolumeBaseline / this.ewma5mVolumeBaseline : 0;
-        const accelZ      = this.accelSigma > 0 ? this.volumeAccel / this.accelSigma : 0;
-        const dynThresh   = this.getDynamicVolumeThreshold();
+    /* -----------------------------------------------------------------
+     *                 WARM STATE  (snapshot / restore)
+     * ----------------------------------------------------------------*/
+    toWarmState() {
+        const fields = {};
+        for (const name of Object.keys(WARM_STATE_MAX_AGE_MS)) {
+            const value = this[name];
+            fields[name] = value instanceof CircularBuffer ? value.toArray() : value;
+        }
+        return fields;
+    }
 
-        const isVolumeSpike = ratioFast1m >= dynThresh && ratio1m5m >= params.MIN_VOLUME_SPIKE_RATIO_1M5M && accelZ >= params.VOLUME_ACCEL_ZSCORE &&
-                               this.current1sVolumeSum >= this.getAbsoluteVolumeFloor() && this.current1sTradeCount >= params.MIN_TRADES_IN_1S;
-        if (!isVolumeSpike) return null;
+    /**
+     * Restore the fields of a snapshot taken `ageMs` ago that are still
+     * fresh enough; returns the names of the restored fields. A snapshot
+     * without the return history restores nothing: the tick state is then
+     * replayed from the tape, and replaying bars on top of restored volume
+     * EWMAs would count those minutes twice. (Snapshots older than the
+     * return history never get here, see WARM_STATE_MAX_AGE_MS.)
+     */
+    restoreWarmState(fields, ageMs) {
+        const restored = [];
+        if (!Array.isArray(fields.returnHistory)) return restored;
+
+        for (const [name, maxAgeMs] of Object.entries(WARM_STATE_MAX_AGE_MS)) {
+            if (ageMs > maxAgeMs || fields[name] === undefined) continue;
+
+            if (this[name] instanceof CircularBuffer) {
+                if (!Array.isArray(fields[name])) continue;
+                // Refill in place: rolling windows keep their statistics current.
+                const buffer = this[name];
+                buffer.clear();
+                for (const item of fields[name].slice(-buffer.capacity)) buffer.add(item);
+            } else {
+                this[name] = fields[name];
+            }
+            restored.push(name);
+        }
 
-        /* -------- price momentum check ---------------------------*/
-        const priceLookback = this.getHistoricalPrice(now - params.PRICE_LOOKBACK_WINDOW_MS);
-        if (priceLookback === null || this.lastPrice <= priceLookback) return null;
+        // EMA alignment flags are derived; the next tick recomputes them.
+        if (restored.length) this.warmStartSource = "snapshot";
+        return restored;
+    }
 
-        const priceChangePct = (this.lastPrice - priceLookback) / priceLookback;
-        const slopeZ = this.priceSlopeSigma > 0 ? this.priceSlope / this.priceSlopeSigma : 0;
-        if (slopeZ < params.PRICE_SLOPE_ZSCORE) return null;
+    /**
+     * Seed returns, volatility, volume EWMAs, EMA/RSI/PPO and price buckets
+     * from historical 1 s bars (oldest first, exchange time). Every bar
+     * stands in for the check ticks of its second at the bar's close and
+     * volume; taker flow and the book are left to the live feed.
+     */
+    warmUpFromBars(bars) {
+        const offset = getClockOffsetMs();
+        const ticksPerBar = Math.max(1, Math.round(1000 / params.CHECK_SIGNAL_INTERVAL_MS));
+        let used = 0;
+
+        for (const bar of bars) {
+            if (!(bar.close > 0)) continue;
+            const barStart = bar.t - offset;   // bars are keyed by exchange time
+
+            for (let k = 1; k <= ticksPerBar; k++) {
+                const now = barStart + k * 1000 / ticksPerBar;
+                this.lastPrice = bar.close;
+                this.updateVolatility(bar.close, now);
+                this.updateVolumeStats(bar.volume);
+                this.updatePriceBucket(now);
+                this.updateEMAAlignment(bar.close);
+                this.updateRSI(bar.close);
+                this.updateMACD(bar.close);
+                this.updatePriceSlope(now);
+            }
+            used++;
+        }
 
-        const priceZScore = instantVol > 0 ? priceChangePct / instantVol : 0;
-        if (priceZScore < 1.5) return null;
+        if (used) this.warmStartSource = "bars";
+        return used;
+    }
 
-        /* -------- all checks passed – trigger --------------------*/
-        this.lastSignalTriggerTime = now;
+    /* -----------------------------------------------------------------
+     *                               SIGNAL
+     * ----------------------------------------------------------------*/
+    rejectTick(now, gateName, detail = {}) {
+        this.lastRejection = { at: now, gate: gateName, ...detail };
+        recordMonitorReject(this.symbol, gateName, now);
+        return [];
+    }
 
-        // FIX‑2: use smoothed & clipped ratio
-        const takerRatioInstant = this.takerRatioEwma;
+    computeFeatures(now, spreadPct, instantVol, market) {
+        const ratioFast1m = this.ewma1mVolumeBaseline > 0 ? this.ewma1sVolumeFast / this.ewma1mVolumeBaseline : 0;
+        const ratio1m5m   = this.ewma5mVolumeBaseline > 0 ? this.ewma1mVolumeBaseline / this.ewma5mVolumeBaseline : 0;
+        const accelZ      = this.accelSigma > 0 ? this.volumeAccel / this.accelSigma : 0;
 
-        console.log(new Date(), `[SIGNAL] ${this.symbol} | Px: ${this.lastPrice.toFixed(4)} | Vol30s: ${(this.volatility30s * 100).toFixed(1)}% | VolRatio: ${this.volatilityRatio.toFixed(2)} | TakerR: ${takerRatioInstant.toFixed(2)} | Spread: ${spreadBps.toFixed(1)}bps`);
+        const priceLookback  = this.getHistoricalPrice(now - params.PRICE_LOOKBACK_WINDOW_MS);
+        const priceChangePct = priceLookback ? (this.lastPrice - priceLookback) / priceLookback : null;
+        const slopeZ         = this.priceSlopeSigma > 0 ? this.priceSlope / this.priceSlopeSigma : 0;
+        const priceZScore    = instantVol > 0 && priceChangePct !== null ? priceChangePct / instantVol : 0;
 
-        const vector = {
-            exchange: this.exchange,
-            createdAt: new Date(now),
-            symbol: this.symbol.replace(/[^A-Za-z0-9]/g, "").toUpperCase(),
-            signalTimestampMs: now,
-            triggerPrice: this.lastPrice,
+        return {
+            marketCapTier: this.marketCapTier,
+            lastPrice: this.lastPrice,
 
             // price
             priceChangePct,
@@ -585,8 +829,10 @@ class SymbolMonitor {
             volumeRatio1m5m: ratio1m5m,
             volumeAccelZ: accelZ,
             current1sVolumeUsdt: this.current1sVolumeSum,
+            current1sTradeCount: this.current1sTradeCount,
             volumePerDollar: this.current1sVolumeSum / (this.ticker24hrVolumeUsdt + 1),
-            dynVolumeThresh: dynThresh,
+            dynVolumeThresh: this.getDynamicVolumeThreshold(),
+            absVolumeFloor: this.getAbsoluteVolumeFloor(),
 
             // volatility
             volatility30s: this.volatility30s,
@@ -595,8 +841,8 @@ class SymbolMonitor {
 
             // microstructure
             spreadPct,
-            spreadBps,
-            normalizedSpread,
+            spreadBps: spreadPct * 1e4,
+            normalizedSpread: spreadPct / (instantVol + 1e-4),
             effectiveSpreadBps: this.avgEffectiveSpread,
 
             // order book
@@ -611,13 +857,16 @@ class SymbolMonitor {
             imbalanceVolatility: this.imbalanceVolatility,
 
             // taker flow
-            takerRatioSmoothed: takerRatioInstant,     // FIX‑2: bounded & EWMA
+            takerRatioSmoothed: this.takerRatioEwma,   // FIX‑2: bounded & EWMA
             takerBuyVolumeAbs: this.current1sTakerBuyVolume,
             takerFlowImbalance: this.takerFlowImbalance,
             takerFlowMagnitude: this.takerFlowMagnitude,
             takerFlowRatio: this.takerFlowRatio,
 
-            // technical
+            // trade flow (flowVwapDistPct, flowLargeTradeShare, flowIntensityRatio, ...)
+            ...this.tradeFlow.features(),
+
+            // technical (tick-stepped, see the tf* fields for bar-based ones)
             ppoHistogram: this.ppoHistogram,
             ppoLine: this.ppoLine,
             signalLine: this.signalLine,
@@ -630,36 +879,229 @@ class SymbolMonitor {
             emaStackedNeutral: this.emaStackedNeutral,
             priceAboveEma9: this.priceAboveEma9,
 
+            // multi-timeframe indicators (tf1s_rsi14, tf1m_atr14Pct, ...)
+            ...this.indicators.features(),
+
+            // market context (mktBtcSlopeZ, mktBreadthSpiking, ...)
+            ...marketFeatures(market),
+
             // market data
             ticker24hrVolumeUsdt: this.ticker24hrVolumeUsdt,
             ticker24hrPriceChangePct: this.ticker24hrPriceChangePct,
             ticker24hrHigh: this.ticker24hrHigh,
             ticker24hrLow: this.ticker24hrLow,
+        };
+    }
+
+    async checkSignal(now = clock.now()) {
+        this.updateTimeCache(now);
+        this.refreshConfig();
+        recordTick(this.symbol, now);
+
+        /* -------- preconditions (nothing to measure yet) ---------*/
+        if (this.lastPrice === 0 || this.ewma5mVolumeBaseline === 0) return this.rejectTick(now, "warmup_baseline");
+        if (this.returnHistory.size < 30 || this.volatility30s === 0) return this.rejectTick(now, "warmup_volatility");
+
+        const staleFeeds = this.getStaleFeeds(now);
+        if (staleFeeds.length) {
+            this.recordStaleReject(now, staleFeeds);
+            return this.rejectTick(now, "stale_feed", { feeds: staleFeeds });
+        }
+        this.lastStaleReject = null;
+
+        if (!Number.isFinite(this.bestBid) || !Number.isFinite(this.bestAsk) || this.bestBid <= 0 || this.bestAsk <= this.bestBid) return this.rejectTick(now, "book_invalid");
+
+        /* -------- monitor-wide gates (shared by every detector) ----*/
+        const spreadPct = (this.bestAsk - this.bestBid) / this.bestAsk;
+        const instantVol = this.volatility30s / Math.sqrt(365 * 24 * 60 * 60);
+        const monitorGates = [
+            gate("volume_24h", this.ticker24hrVolumeUsdt, "min", this.cfg.MIN_24H_VOLUME_USD),
+            condition("liquidity", this.hasSufficientLiquidity()),
+            gate("spread", spreadPct, "max", this.cfg.MAX_BID_ASK_SPREAD_PCT),
+            gate("normalized_spread", spreadPct / (instantVol + 1e-4), "max", this.cfg.MAX_NORMALIZED_SPREAD),
+        ];
+
+        // optional market-wide gates (0 = off); without a fresh context they are skipped
+        const market = getMarketContext(now);
+        if (market && this.cfg.MAX_MARKET_SPIKE_BREADTH > 0) monitorGates.push(gate("market_breadth", market.breadthSpiking, "max", this.cfg.MAX_MARKET_SPIKE_BREADTH));
+        if (market?.reference.BTC && this.cfg.MAX_BTC_SLOPE_Z > 0) monitorGates.push(gate("btc_regime", Math.abs(market.reference.BTC.slopeZ), "max", this.cfg.MAX_BTC_SLOPE_Z));
+
+        /* -------- detectors --------------------------------------*/
+        // Detectors run even when a monitor-wide gate failed: the funnel
+        // and the near misses need their gates too.
+        const features = this.computeFeatures(now, spreadPct, instantVol, market);
+        const fired = [];
+        this.lastRejection = null;
+        this.detectorRejections = {};
+
+        for (const detector of this.detectors) {
+            const result = detector.evaluate(features, now);
+            result.score = compositeScore(result.gates);
+            result.grade = gradeFor(result.score);
+            const failed = this.failedGates(detector, monitorGates, result);
+
+            if (failed.length) {
+                this.detectorRejections[detector.id] = { rejected: true, ...failed[0] };
+                recordDetectorOutcome(this.symbol, detector.id, failed[0].gate, now);
+                if (failed.length === 1) this.recordNearMiss(now, detector, result, features, failed[0]);
+                continue;
+            }
+
+            const cooldownKey = `${detector.id}:${result.direction}`;
+            if (now - (this.lastSignalTriggerTime[cooldownKey] ?? 0) < detector.cooldownMs) {
+                this.detectorRejections[detector.id] = { rejected: true, gate: "cooldown" };
+                recordDetectorOutcome(this.symbol, detector.id, "cooldown", now);
+                continue;
+            }
+            this.lastSignalTriggerTime[cooldownKey] = now;
+
+            const placement = this.episodes.assign(now, result.direction, detector.id, result.score);
+            recordDetectorOutcome(this.symbol, detector.id, placement.store ? "fired" : "episode_follow_up", now);
+
+            if (!placement.store) {
+                this.episodes.commit(placement);
+                if (!this.dryRun) await saveEpisode(placement.episode);
+                continue;
+            }
+
+            const vector = await this.emitSignal(now, detector, result, features, placement);
+            if (vector) fired.push(vector);
+        }
+
+        return fired;
+    }
+
+    /**
+     * Gates that stop this detector's tick. Monitor-wide gates,
+     * preconditions and unscored gates always veto. In "gates" mode so
+     * does every failed detector gate; in "score" mode a scored detector
+     * gate may fail by up to maxGateDeficit as long as the composite score
+     * reaches minScore.
+     */
+    failedGates(detector, monitorGates, result) {
+        const { triggerMode, minScore, maxGateDeficit } = detector.params;
+        const failed = monitorGates.filter(g => !g.pass);
+
+        for (const g of result.gates) {
+            if (g.pass) continue;
+            if (triggerMode === "score" && g.scored && -g.margin <= maxGateDeficit) continue;
+            failed.push(g);
+        }
+
+        if (triggerMode === "score" && !failed.length) {
+            const scoreGate = gate("score", result.score ?? -Infinity, "min", minScore);
+            if (!scoreGate.pass) failed.push(scoreGate);
+        }
+
+        return failed;
+    }
+
+    recordNearMiss(now, detector, result, features, miss) {
+        if (!params.NEAR_MISS_ENABLED || this.dryRun) return;
+        // only threshold gates have a margin; preconditions are never "near"
+        if (miss.margin === null || -miss.margin > params.NEAR_MISS_MAX_MARGIN) return;
+        if (!admitNearMiss(this.symbol, detector.id, miss.gate, now)) return;
+
+        queueNearMiss({
+            ...this.buildVector(now, detector, result, features),
+            nearMiss: { gate: miss.gate, value: miss.value, threshold: miss.threshold, margin: miss.margin },
+        });
+    }
+
+    buildVector(now, detector, result, features) {
+        const { direction } = result;
+        const latency = getLatencyForSymbol(this.symbol);
+
+        return {
+            schemaVersion: schemaVersion("signals"),
+            exchange: this.exchange,
+            createdAt: new Date(now),
+            symbol: this.symbol.replace(/[^A-Za-z0-9]/g, "").toUpperCase(),
+            signalTimestampMs: now,
+            triggerPrice: this.lastPrice,
+            direction,
+            detectorId: detector.id,
+            triggerMode: detector.params.triggerMode,
+            signalScore: result.score,
+            signalGrade: result.grade,
+            gateMargins: Object.fromEntries(result.gates.filter(g => g.margin !== null).map(g => [g.gate, g.margin])),
+            configVersion: this.cfgVersion,
+            warmStartSource: this.warmStartSource,
+
+            ...features,
+
+            // detector specific
+            ...result.fields,
+
+            // full L2 book
+            ...this.getL2BookFeatures(),
+
+            // feed latency
+            feedLatencyP50Ms: latency.p50,
+            feedLatencyP90Ms: latency.p90,
+            feedLatencyP99Ms: latency.p99,
+            clockSkewMs: getClockOffsetMs(),
 
             // time
             hourOfDay: this.cachedHourOfDay,
             dayOfWeek: this.cachedDayOfWeek,
             isWeekend: this.cachedIsWeekend,
+        };
+    }
+
+    async emitSignal(now, detector, result, features, placement) {
+        const { direction } = result;
+        const { episode, seq, primary } = placement;
 
-            // deprecated but kept for compatibility
-            realisedVolFast: this.volatility30s,
-            realisedVolMedium: this.volatility5m,
-            explosiveRatio: this.volatilityRatio,
-            volatilityExpansionRatio: this.volatilityRatio,
+        console.log(new Date(now), `[SIGNAL] ${direction.toUpperCase()} ${this.symbol} (${detector.id}, ${result.grade ?? "ungraded"} ${result.score?.toFixed(2) ?? "–"}, episode #${seq}) | Px: ${this.lastPrice.toFixed(4)} | Vol30s: ${(this.volatility30s * 100).toFixed(1)}% | VolRatio: ${this.volatilityRatio.toFixed(2)} | TakerR: ${features.takerRatioSmoothed.toFixed(2)} | Spread: ${features.spreadBps.toFixed(1)}bps`);
+
+        const vector = {
+            ...this.buildVector(now, detector, result, features),
+            episodeId: episode.episodeId,
+            episodeSeq: seq,
+            isPrimarySignal: primary,
         };
 
+        if (!admitDocument("signals", vector)) {
+            return null;
+        }
+
+        // Only an admitted signal opens or extends its episode.
+        this.episodes.commit(placement);
+
+        if (this.dryRun) {
+            return vector;
+        }
+
+        // Keep the book frames from here on for the trajectory job.
+        if (detector.jobs.bookTrajectory) {
+            startBookCapture(this.symbol, now);
+        }
+
         // insert to DB -------------------------------------------------
         const insert = await mongo.signals.insertOne(vector);
+        const id = insert.insertedId.toString();
 
-        // queue -------------------------------------------------------
-        await priceQueue.add(`${EXCHANGE}_price`, { id: insert.insertedId.toString(), symbol: this.symbol, timestamp: vector.signalTimestampMs }, { removeOnComplete: true, removeOnFail: true, delay: 31 * 60 * 1000 });
+        // queue (per detector) -----------------------------------------
+        if (detector.jobs.price) {
+            await priceQueue.add(`${EXCHANGE}_price`, { id, symbol: this.symbol, timestamp: vector.signalTimestampMs, direction, triggerPrice: vector.triggerPrice }, { removeOnComplete: true, removeOnFail: true, delay: 31 * 60 * 1000 });
+        }
 
-        for (const tOffset of [3, 10, 30]) {
-            await orderQueue.add(`${EXCHANGE}_orderbook`, { id: insert.insertedId.toString(), symbol: this.symbol, tOffset }, { removeOnComplete: true, removeOnFail: true, delay: tOffset * 1000 });
+        for (const tOffset of detector.jobs.orderbookOffsets ?? []) {
+            await orderQueue.add(`${EXCHANGE}_orderbook`, { id, symbol: this.symbol, timestamp: now, tOffset }, { removeOnComplete: true, removeOnFail: true, delay: tOffset * 1000 });
         }
 
+        if (detector.jobs.bookTrajectory && params.BOOK_CAPTURE_WINDOW_MS > 0) {
+            // A little slack so the last frames of the window are stored.
+            await orderQueue.add(`${EXCHANGE}_book_trajectory`, { id, symbol: this.symbol, timestamp: now }, { removeOnComplete: true, removeOnFail: true, delay: params.BOOK_CAPTURE_WINDOW_MS + 2_000 });
+        }
+
+        // Episode bookkeeping last: the signal's jobs never depend on it.
+        if (primary) episode.primarySignalId = id;
+        await saveEpisode(episode);
+
         return vector;
     }
 }
 
-export default SymbolMonitor;
\ No newline at end of file
+export default SymbolMonitor;
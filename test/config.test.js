@@ -0,0 +1,97 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import params from "../parameters.js";
+import { loadConfig, resolveConfig, validateConfig, getConfigVersion } from "../config.js";
+
+let dir;
+const saved = { CONFIG_SOURCE: params.CONFIG_SOURCE, CONFIG_FILE: params.CONFIG_FILE };
+
+function writeConfig(doc) {
+    fs.writeFileSync(params.CONFIG_FILE, JSON.stringify(doc));
+}
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-test-"));
+    params.CONFIG_SOURCE = "file";
+    params.CONFIG_FILE = path.join(dir, "config.json");
+});
+
+after(() => {
+    Object.assign(params, saved);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("layers merge defaults, tier profile, source global, source tier, source symbol", async () => {
+    writeConfig({
+        global: { ABS_VOLUME_FLOOR_USD: 700, MAX_BTC_SLOPE_Z: 9, DETECTORS: { volume_momentum: { maxVol5m: 0.9 } } },
+        tiers: { mid: { MAX_BTC_SLOPE_Z: 7, DETECTORS: { breakout_24h: { enabled: true } } } },
+        symbols: { PEPE_USDT: { MAX_BTC_SLOPE_Z: 5, DETECTORS: { volume_momentum: { cooldownMs: 1000 } } } }
+    });
+    assert.equal(await loadConfig(), true);
+
+    const pepe = resolveConfig("PEPE_USDT", "mid");
+    assert.equal(pepe.ABS_VOLUME_FLOOR_USD, 700);      // source global beats the built-in profile
+    assert.equal(pepe.MAX_BTC_SLOPE_Z, 5);             // symbol beats tier beats global
+    assert.equal(pepe.MAX_BID_ASK_SPREAD_PCT, params.MAX_BID_ASK_SPREAD_PCT);
+    assert.deepEqual(pepe.DETECTORS.volume_momentum, { maxVol5m: 0.9, cooldownMs: 1000 });
+    assert.deepEqual(pepe.DETECTORS.breakout_24h, { enabled: true });
+    assert.deepEqual(pepe.DETECTORS.imbalance_flip, { enabled: false });
+
+    const other = resolveConfig("DOGE_USDT", "small");
+    assert.equal(other.MAX_BTC_SLOPE_Z, 9);
+    assert.deepEqual(other.DETECTORS.breakout_24h, { enabled: false });
+
+    // Resolving never leaks one symbol's layers into the defaults.
+    assert.deepEqual(params.DETECTORS.volume_momentum, {});
+});
+
+test("without source overrides the built-in tier profile applies", async () => {
+    writeConfig({});
+    await loadConfig();
+
+    assert.equal(resolveConfig("X_USDT", "mega").ABS_VOLUME_FLOOR_USD, params.TIER_PROFILES.mega.ABS_VOLUME_FLOOR_USD);
+    assert.deepEqual(resolveConfig("X_USDT", "micro").DETECTORS.volume_momentum, { maxVol5m: 3.00 });
+});
+
+test("an unchanged source is not a new version", async () => {
+    writeConfig({ global: { MAX_BTC_SLOPE_Z: 4 } });
+    await loadConfig();
+    const v = getConfigVersion();
+
+    assert.equal(await loadConfig(), false);
+    assert.equal(getConfigVersion(), v);
+});
+
+test("a bad source is refused and the previous version stays live", async () => {
+    writeConfig({ global: { MAX_BTC_SLOPE_Z: 4 } });
+    await loadConfig();
+    const v = getConfigVersion();
+
+    writeConfig({ global: { MAX_BTC_SLOPE_Z: -1 } });
+    await assert.rejects(loadConfig(), /Invalid config: global.MAX_BTC_SLOPE_Z must be a non-negative number/);
+    assert.equal(getConfigVersion(), v);
+    assert.equal(resolveConfig("X_USDT", "mid").MAX_BTC_SLOPE_Z, 4);
+});
+
+test("validation reports every problem with its place", () => {
+    assert.deepEqual(validateConfig({
+        extra: {},
+        global: { NOT_A_KEY: 1 },
+        tiers: { giant: {}, mid: { ABS_VOLUME_FLOOR_USD: "500" } },
+        symbols: { A_USDT: { DETECTORS: { nope: {}, volume_momentum: { triggerMode: "maybe", bogus: 1 } } } }
+    }), [
+        'unknown section "extra"',
+        'global: unknown key "NOT_A_KEY"',
+        'tiers: unknown tier "giant"',
+        "tiers.mid.ABS_VOLUME_FLOOR_USD must be a non-negative number",
+        'symbols.A_USDT.DETECTORS: unknown detector "nope"',
+        "symbols.A_USDT.DETECTORS.volume_momentum.triggerMode must be one of gates, score",
+        'symbols.A_USDT.DETECTORS.volume_momentum: unknown parameter "bogus"'
+    ]);
+
+    assert.deepEqual(validateConfig([]), ["config must be an object"]);
+    assert.deepEqual(validateConfig({ tiers: [] }), ["tiers must be an object"]);
+});
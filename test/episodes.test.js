@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import EpisodeTracker from "../episodes.js";
+
+function tracker(followUpMode = "store") {
+    return new EpisodeTracker("A_USDT", { gapMs: 60_000, followUpMode });
+}
+
+test("signals within the gap join the episode of the first", () => {
+    const episodes = tracker();
+
+    const first = episodes.assign(1_000, "up", "pump", 0.5);
+    episodes.commit(first);
+    const second = episodes.assign(30_000, "up", "pump", 0.8);
+    episodes.commit(second);
+
+    assert.equal(first.primary, true);
+    assert.equal(second.primary, false);
+    assert.equal(second.seq, 2);
+    assert.equal(second.episode.episodeId, first.episode.episodeId);
+    assert.equal(second.episode.peakScore, 0.8);
+
+    const later = episodes.assign(30_000 + 60_001, "up", "pump", 0.1);
+    assert.equal(later.primary, true);
+    assert.notEqual(later.episode.episodeId, first.episode.episodeId);
+});
+
+test("an uncommitted placement leaves the episodes untouched", () => {
+    const episodes = tracker();
+
+    // A refused primary opens nothing: the next signal is primary again.
+    episodes.assign(1_000, "up", "pump", 0.5);
+    const retry = episodes.assign(2_000, "up", "pump", 0.5);
+    assert.equal(retry.primary, true);
+    episodes.commit(retry);
+
+    // A refused follow-up neither counts nor keeps the episode open.
+    const refused = episodes.assign(50_000, "up", "pump", 0.9);
+    assert.equal(refused.seq, 2);
+    assert.equal(episodes.open.up.count, 1);
+    assert.equal(episodes.open.up.lastAt, 2_000);
+    assert.equal(episodes.open.up.peakScore, 0.5);
+
+    const next = episodes.assign(70_000, "up", "pump", 0.5);
+    assert.equal(next.primary, true);
+});
+
+test("suppressed follow-ups are not stored but keep the episode open", () => {
+    const episodes = tracker("suppress");
+
+    episodes.commit(episodes.assign(1_000, "down", "dump", null));
+    const follow = episodes.assign(50_000, "down", "dump", null);
+    episodes.commit(follow);
+
+    assert.equal(follow.store, false);
+    assert.equal(follow.seq, null);
+    assert.equal(follow.episode.count, 1);
+    assert.equal(episodes.assign(100_000, "down", "dump", null).primary, false);
+});
@@ -0,0 +1,116 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { validateDocument } from "../schema.js";
+import { upgradeDocument } from "../migrate.js";
+
+const signalId = new ObjectId();
+const priceId = new ObjectId();
+
+test("version-0 signals lose their aliases and gain direction and detector", () => {
+    const doc = {
+        _id: signalId,
+        exchange: "gate",
+        createdAt: new Date(1_700_000_000_000),
+        symbol: "PEPEUSDT",
+        signalTimestampMs: 1_700_000_000_000,
+        triggerPrice: 0.5,
+        realisedVolFast: 1.2,
+        realisedVolMedium: 0.8,
+        explosiveRatio: 1.5,
+        volatilityExpansionRatio: 1.4,
+        volatilityRatio: 1.6
+    };
+
+    const upgraded = upgradeDocument("signals", doc);
+
+    assert.equal(upgraded.schemaVersion, 1);
+    assert.equal(upgraded.volatility30s, 1.2);
+    assert.equal(upgraded.volatility5m, 0.8);
+    assert.equal(upgraded.volatilityRatio, 1.6);     // the field itself wins over its aliases
+    assert.equal("realisedVolFast" in upgraded, false);
+    assert.equal("explosiveRatio" in upgraded, false);
+    assert.equal(upgraded.direction, "long");
+    assert.equal(upgraded.detectorId, "volume_momentum");
+    assert.deepEqual(validateDocument("signals", upgraded), []);
+});
+
+test("version-0 prices take direction and entry from their signal and gain directional returns", () => {
+    const doc = {
+        _id: priceId,
+        signal_id: signalId,
+        symbol: "PEPEUSDT",
+        exchange: "gate",
+        prices: [{ t_offset_s: 60, price: 0.55 }, { t_offset_s: 120, price: null }]
+    };
+    const ctx = {
+        signals: new Map([[String(signalId), { direction: "short", triggerPrice: 0.5 }]]),
+        rebuilt: new Map()
+    };
+
+    const upgraded = upgradeDocument("prices", doc, ctx);
+
+    assert.equal(upgraded.schemaVersion, 2);
+    assert.equal(upgraded.direction, "short");
+    assert.equal(upgraded.entry_price, 0.5);
+    assert.ok(Math.abs(upgraded.prices[0].ret - 0.1) < 1e-12);
+    assert.ok(Math.abs(upgraded.prices[0].ret_dir + 0.1) < 1e-12);
+    assert.equal(upgraded.prices[1].ret, null);
+    assert.equal(upgraded.prices[1].ret_dir, null);
+    assert.deepEqual(validateDocument("prices", upgraded), []);
+});
+
+test("version-1 prices are replaced by the document rebuilt from the tape, keeping their identity", () => {
+    const doc = { _id: priceId, signal_id: signalId, symbol: "PEPEUSDT", exchange: "gate", schemaVersion: 1, direction: "long", entry_price: 0.5, prices: [] };
+    const rebuilt = {
+        signal_id: new ObjectId(),
+        symbol: "PEPE_USDT",
+        exchange: "gate",
+        direction: "long",
+        entry_price: 0.5,
+        mfe_ret_dir: 0.02,
+        prices: [{ t_offset_s: 60, price: 0.51, ret: 0.02, ret_dir: 0.02 }]
+    };
+
+    const upgraded = upgradeDocument("prices", doc, { signals: new Map(), rebuilt: new Map([[String(priceId), rebuilt]]) });
+
+    assert.equal(upgraded.schemaVersion, 2);
+    assert.equal(upgraded._id, priceId);
+    assert.equal(upgraded.signal_id, signalId);
+    assert.equal(upgraded.symbol, "PEPEUSDT");
+    assert.equal(upgraded.mfe_ret_dir, 0.02);
+    assert.deepEqual(upgraded.prices, rebuilt.prices);
+
+    // Outside the tape's retention the document only changes its version.
+    assert.deepEqual(upgradeDocument("prices", doc, { signals: new Map(), rebuilt: new Map() }), { ...doc, schemaVersion: 2 });
+});
+
+test("version-0 order books get unit-named sums and a REST source", () => {
+    const doc = {
+        signal_id: signalId,
+        symbol: "PEPE_USDT",
+        snapshots: [{ t_offset_s: 5, bid_sum: 10, ask_sum: 20, imbalance: -0.33, mid_price: 0.5 }]
+    };
+
+    const upgraded = upgradeDocument("orderbooks", doc);
+
+    assert.equal(upgraded.schemaVersion, 2);
+    assert.deepEqual(upgraded.snapshots, [{
+        t_offset_s: 5,
+        mid_price: 0.5,
+        bid_sum_base: 10,
+        ask_sum_base: 20,
+        imbalance_usdt: -0.33,
+        source: "rest"
+    }]);
+    assert.deepEqual(validateDocument("orderbooks", upgraded), []);
+});
+
+test("documents run only through the steps they are behind on", () => {
+    const doc = { signal_id: signalId, symbol: "PEPE_USDT", schemaVersion: 1, snapshots: [{ t_offset_s: 5, source: "stream" }] };
+
+    assert.deepEqual(upgradeDocument("orderbooks", doc).snapshots, [{ t_offset_s: 5, source: "stream" }]);
+
+    const current = { ...doc, schemaVersion: 2 };
+    assert.equal(upgradeDocument("orderbooks", current), current);
+});
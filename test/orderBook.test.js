@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import LocalOrderBook from "../orderBook.js";
+
+function book() {
+    return new LocalOrderBook("TEST_USDT", { depth: 10, fetchSnapshots: false });
+}
+
+function snapshot(lastUpdateId) {
+    return { lastUpdateId, bids: [["100", "1"], ["99", "2"]], asks: [["101", "1"], ["102", "2"]] };
+}
+
+function diff(U, u, b = [], a = []) {
+    return { U, u, b, a };
+}
+
+test("buffered diffs older than the snapshot are dropped, the straddling one applied", () => {
+    const b = book();
+    b.onDiff(diff(90, 95));
+    b.onDiff(diff(96, 105, [["100", "3"]]));
+    b.onDiff(diff(106, 110, [["99", "0"]]));
+
+    assert.equal(b.applySnapshot(snapshot(100)), true);
+    assert.equal(b.isSynced(), true);
+    assert.equal(b.lastUpdateId, 110);
+    assert.deepEqual(b.levels("bids"), [[100, 3]]);
+});
+
+test("a snapshot older than every buffered diff asks for a newer one", () => {
+    const b = book();
+    b.onDiff(diff(120, 125));
+
+    assert.equal(b.applySnapshot(snapshot(100)), false);
+    assert.equal(b.isSynced(), false);
+});
+
+test("the first live diff after a snapshot may straddle its id", () => {
+    const b = book();
+    b.onDiff(diff(90, 95));               // triggered the resync, older than the snapshot
+
+    assert.equal(b.applySnapshot(snapshot(100)), true);
+    b.onDiff(diff(95, 110, [["100", "5"]]));
+
+    assert.equal(b.isSynced(), true);
+    assert.equal(b.lastUpdateId, 110);
+    assert.deepEqual(b.levels("bids")[0], [100, 5]);
+});
+
+test("after the first diff, continuity must be exact", () => {
+    const b = book();
+    b.applySnapshot(snapshot(100));
+    b.onDiff(diff(95, 110));
+    b.onDiff(diff(111, 115));
+    assert.equal(b.lastUpdateId, 115);
+
+    b.onDiff(diff(114, 120));             // overlaps: a gap in the sequence
+    assert.equal(b.isSynced(), false);
+    assert.equal(b.lastUpdateId, 0);
+});
+
+test("a live diff starting past the snapshot is a gap", () => {
+    const b = book();
+    b.applySnapshot(snapshot(100));
+    b.onDiff(diff(102, 110));
+
+    assert.equal(b.isSynced(), false);
+});
+
+test("diffs already covered by the book are ignored", () => {
+    const b = book();
+    b.applySnapshot(snapshot(100));
+    b.onDiff(diff(90, 100, [["100", "9"]]));
+
+    assert.equal(b.isSynced(), true);
+    assert.deepEqual(b.levels("bids")[0], [100, 1]);
+});
+
+test("depthForNotional walks the levels", () => {
+    const b = book();
+    b.applySnapshot(snapshot(100));
+    const fill = b.depthForNotional("asks", 150);
+
+    assert.equal(fill.filled, true);
+    assert.equal(fill.levelsUsed, 2);
+    assert.equal(fill.worstPrice, 102);
+});
@@ -0,0 +1,101 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import IORedis from "ioredis";
+import exchange from "../exchange.js";
+import { initPriceTape, handleTradeTick, retireTapeForPair, getSecBars } from "../priceTape.js";
+
+// Just enough of the sorted-set commands for the tape, kept in memory.
+function memoryRedis() {
+    const redis = new IORedis({ lazyConnect: true });
+    const sets = new Map();
+    const zset = key => sets.get(key) ?? sets.set(key, new Map()).get(key);
+    const range = (key, min, max) => [...zset(key)].filter(([, s]) => s >= min && s <= max).sort((a, b) => a[1] - b[1]);
+
+    Object.assign(redis, {
+        sets,
+        zadd: async (key, score, member) => void zset(key).set(member, Number(score)),
+        expire: async () => {},
+        zremrangebyscore: async (key, min, max) => range(key, min, max).forEach(([m]) => zset(key).delete(m)),
+        zrangebyscore: async (key, min, max, withScores) => range(key, min, max).flatMap(([m, s]) => withScores ? [m, String(s)] : [m]),
+        multi() {
+            const ops = [];
+            const chain = new Proxy({}, {
+                get: (_, name) => name === "exec"
+                    ? async () => { for (const [op, args] of ops) await redis[op](...args); }
+                    : (...args) => (ops.push([name, args]), chain)
+            });
+            return chain;
+        }
+    });
+
+    return redis;
+}
+
+const redis = memoryRedis();
+const fetchTradesAfter = exchange.fetchTradesAfter;
+
+before(() => {
+    initPriceTape(redis);
+});
+
+after(() => {
+    exchange.fetchTradesAfter = fetchTradesAfter;
+    redis.disconnect();
+});
+
+test("flat bars of a quiet stretch are kept one per second", async () => {
+    handleTradeTick("FLAT_USDT", 2, 10, 1_000_000);
+    handleTradeTick("FLAT_USDT", 3, 10, 1_005_500);
+    retireTapeForPair("FLAT_USDT");
+
+    const bars = await getSecBars("FLAT_USDT", 1_000_000, 1_005_000);
+
+    assert.deepEqual(bars.map(b => b.t), [1_000_000, 1_001_000, 1_002_000, 1_003_000, 1_004_000, 1_005_000]);
+    assert.deepEqual(bars.slice(1, 5).map(b => [b.open, b.close, b.volume]), Array(4).fill([2, 2, 0]));
+    assert.equal(bars[5].close, 3);
+});
+
+test("members written before the second prefix still parse", async () => {
+    const key = `${exchange.id}:secbar:OLD_USDT`;
+    await redis.zadd(key, 500, "1,2,0.5,1.5,100");
+    await redis.zadd(key, 501, "1.5,1.5,1.5,1.5,0,1");
+
+    assert.deepEqual(await getSecBars("OLD_USDT", 500_000, 501_000), [
+        { t: 500_000, open: 1, high: 2, low: 0.5, close: 1.5, volume: 100, backfilled: false },
+        { t: 501_000, open: 1.5, high: 1.5, low: 1.5, close: 1.5, volume: 0, backfilled: true }
+    ]);
+});
+
+test("backfills of many pairs run a few at a time and replace the flat gap bars", async () => {
+    const pairs = ["P1", "P2", "P3", "P4", "P5", "P6"].map(p => `${p}_USDT`);
+    let running = 0;
+    let peak = 0;
+
+    exchange.fetchTradesAfter = async (pair, afterId) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        running--;
+        return [{ id: afterId + 1, price: 5, amount: 2, tsMs: 2_001_500 }];
+    };
+
+    for (const pair of pairs) {
+        handleTradeTick(pair, 4, 10, 2_000_000, 100);
+        handleTradeTick(pair, 4, 10, 2_003_000, 102);   // trade 101 was missed
+    }
+
+    // Let every queued backfill finish.
+    while (running || peak === 0) await new Promise(resolve => setTimeout(resolve, 20));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(peak, 3);
+
+    for (const pair of pairs) {
+        const bars = await getSecBars(pair, 2_000_000, 2_002_000);
+        assert.deepEqual(bars.map(b => [b.t, b.close, b.volume, b.backfilled]), [
+            [2_000_000, 4, 10, false],
+            [2_001_000, 5, 10, true],
+            [2_002_000, 4, 0, false]
+        ]);
+    }
+});
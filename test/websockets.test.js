@@ -0,0 +1,91 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { WebSocketServer } from "ws";
+import Websockets from "../websockets.js";
+
+let server;
+let adapter;
+
+// Keys deliberately differ from the channels they come from.
+function fakeAdapter(url) {
+    return {
+        id: "test",
+        wsUrl: url,
+        maxTopicsPerWs: 4,
+        pingIntervalMs: 0,
+        mapChannelToTopic: ch => ch.includes("@") ? { key: ch.toLowerCase(), channel: ch } : null,
+        translate: () => [],
+        buildSubscribeFrames: topics => [JSON.stringify({ sub: topics.map(t => t.key) })],
+        buildUnsubscribeFrames: topics => [JSON.stringify({ unsub: topics.map(t => t.key) })],
+        buildPingFrame: () => null
+    };
+}
+
+before(async () => {
+    server = new WebSocketServer({ port: 0 });
+    await new Promise(resolve => server.once("listening", resolve));
+    adapter = fakeAdapter(`ws://127.0.0.1:${server.address().port}`);
+});
+
+after(async () => {
+    for (const client of server.clients) client.terminate();
+    await new Promise(resolve => server.close(resolve));
+});
+
+function channels(symbols) {
+    return symbols.flatMap(s => [`${s}@aggTrade`, `${s}@ticker`]);
+}
+
+function stream() {
+    const ws = new Websockets({ adapter });
+    ws.on("error", () => {});
+    return ws;
+}
+
+test("topics are unsubscribed by their adapter key", () => {
+    const ws = stream();
+    ws.connect(channels(["A", "B"]));
+
+    assert.equal(ws.unsubscribe(channels(["A"])), 2);
+    assert.deepEqual([...ws.topicOwners.keys()], ["b@aggtrade", "b@ticker"]);
+    assert.equal(ws.topicSeenAt.has("a@aggtrade"), false);
+
+    ws.disconnect();
+});
+
+test("resubscribing looks topics up by their adapter key", () => {
+    const ws = stream();
+    ws.connect(channels(["A"]));
+    ws.topicSeenAt.set("a@ticker", 0);
+
+    ws.resubscribe(["A@ticker"]);
+    assert.ok(ws.topicSeenAt.get("a@ticker") > 0);
+
+    ws.disconnect();
+});
+
+test("sparse connections are folded together once their topics fit", () => {
+    const ws = stream();
+    ws.connect(channels(["A", "B", "C", "D", "E", "F"]));
+    assert.equal(ws.connections.length, 3);
+
+    // 2 + 2 + 4 topics fit into two sockets
+    ws.unsubscribe(channels(["A", "C"]));
+    assert.equal(ws.connections.length, 2);
+    assert.deepEqual(ws.connections.map(c => c.topics.size), [4, 4]);
+
+    // 4 + 2 topics still need two
+    ws.unsubscribe(channels(["E"]));
+    assert.equal(ws.connections.length, 2);
+
+    // 2 + 2 fit into one
+    ws.unsubscribe(channels(["D"]));
+    assert.equal(ws.connections.length, 1);
+    assert.deepEqual([...ws.connections[0].topics.keys()].sort(), ["b@aggtrade", "b@ticker", "f@aggtrade", "f@ticker"]);
+
+    for (const [key, conn] of ws.topicOwners) {
+        assert.equal(conn, ws.connections[0], key);
+    }
+
+    ws.disconnect();
+});
@@ -0,0 +1,140 @@
+import params from "./parameters.js";
+import { RollingWindow, TimeWindow, WindowMax } from "./rollingStats.js";
+
+// ---------------------------------------------------------------------
+// Trade-flow features from the aggTrade stream, per symbol: rolling VWAP
+// and the distance of the last price from it, large prints relative to
+// the symbol's own trade-size distribution, trade arrival intensity
+// against its baseline, and the run of consecutive same-side prints.
+// They separate a spike carried by one or two whale prints from broad
+// participation, which MIN_TRADES_IN_1S alone cannot.
+//
+// Trade times are exchange time. Vector names start with `flow`.
+// ---------------------------------------------------------------------
+
+const notional = t => t.notional;
+const quantity = t => t.quantity;
+
+export default class TradeFlow {
+    constructor() {
+        const maxTrades = params.TRADE_FLOW_MAX_TRADES;
+
+        // The same trade objects sit in several windows, one per summed field.
+        this.vwapNotional = new TimeWindow(params.TRADE_FLOW_VWAP_WINDOW_MS, maxTrades, notional);
+        this.vwapQuantity = new TimeWindow(params.TRADE_FLOW_VWAP_WINDOW_MS, maxTrades, quantity);
+        this.recent       = new TimeWindow(params.TRADE_FLOW_RECENT_WINDOW_MS, maxTrades, notional);
+        this.recentLarge  = new TimeWindow(params.TRADE_FLOW_RECENT_WINDOW_MS, maxTrades, notional);
+        this.recentMax    = new WindowMax();  // largest notional in `recent`
+
+        // log-notional of the last trades: large = mean + k·σ (log-normal sizes)
+        this.logSizes = new RollingWindow(params.TRADE_SIZE_SAMPLES);
+
+        this.tradeRateBaseline = 0;       // trades / sec, EWMA over TRADE_INTENSITY_BASELINE_MS
+        this.lastUpdateAt = 0;
+
+        this.runSide = 0;                 // +1 taker buys, -1 taker sells
+        this.runLength = 0;
+        this.runNotional = 0;
+        this.lastPrice = 0;
+    }
+
+    /**
+     * Notional above which a print counts as large, or null while the
+     * size distribution has too few samples.
+     */
+    largeTradeThreshold() {
+        if (this.logSizes.size < params.LARGE_TRADE_MIN_SAMPLES) return null;
+        return Math.exp(this.logSizes.mean + params.LARGE_TRADE_SIGMA * this.logSizes.std());
+    }
+
+    /**
+     * One aggTrade `{ price, quantity, eventTime, isBuyerMaker }`.
+     */
+    onTrade(trade) {
+        const value = trade.price * trade.quantity;
+        if (!(value > 0)) return;
+
+        const t = { time: trade.eventTime, notional: value, quantity: trade.quantity, seq: this.recentMax.push(value) };
+        const threshold = this.largeTradeThreshold();
+
+        this.vwapNotional.add(t);
+        this.vwapQuantity.add(t);
+        this.recent.add(t);
+        this.syncRecentMax();
+        if (threshold !== null && value >= threshold) this.recentLarge.add(t);
+        this.logSizes.add(Math.log(value));
+
+        const side = trade.isBuyerMaker ? -1 : 1;
+        if (side === this.runSide) {
+            this.runLength++;
+            this.runNotional += value;
+        } else {
+            this.runSide = side;
+            this.runLength = 1;
+            this.runNotional = value;
+        }
+
+        this.lastPrice = trade.price;
+    }
+
+    /**
+     * Expire old trades and step the intensity baseline; call once per
+     * check tick with the current exchange time.
+     */
+    update(exchangeNow) {
+        this.vwapNotional.expire(exchangeNow);
+        this.vwapQuantity.expire(exchangeNow);
+        this.recent.expire(exchangeNow);
+        this.recentLarge.expire(exchangeNow);
+        this.syncRecentMax();
+
+        const rate = this.tradeRate();
+        if (this.lastUpdateAt === 0) {
+            this.tradeRateBaseline = rate;
+        } else {
+            const dt = Math.max(0, exchangeNow - this.lastUpdateAt);
+            const alpha = 1 - Math.exp(-dt / params.TRADE_INTENSITY_BASELINE_MS);
+            this.tradeRateBaseline = alpha * rate + (1 - alpha) * this.tradeRateBaseline;
+        }
+        this.lastUpdateAt = exchangeNow;
+    }
+
+    // Trades that left `recent` (expired or over capacity) leave the maximum.
+    syncRecentMax() {
+        this.recentMax.dropBefore(this.recent.size ? this.recent.getOldest().seq : this.recentMax.nextSeq);
+    }
+
+    // trades / sec over the recent window
+    tradeRate() {
+        return this.recent.size / (params.TRADE_FLOW_RECENT_WINDOW_MS / 1000);
+    }
+
+    vwap() {
+        return this.vwapQuantity.sum > 0 ? this.vwapNotional.sum / this.vwapQuantity.sum : null;
+    }
+
+    features() {
+        const vwap = this.vwap();
+        const rate = this.tradeRate();
+        const threshold = this.largeTradeThreshold();
+        const maxTrade = this.recentMax.max ?? 0;
+
+        return {
+            flowVwap: vwap,
+            flowVwapDistPct: vwap && this.lastPrice > 0 ? (this.lastPrice - vwap) / vwap : null,
+            flowVwapTrades: this.vwapNotional.size,
+
+            flowLargeTradeThresholdUsd: threshold,
+            flowLargeTrades: this.recentLarge.size,
+            flowLargeTradeShare: this.recent.sum > 0 ? this.recentLarge.sum / this.recent.sum : 0,
+            flowMaxTradeShare: this.recent.sum > 0 ? maxTrade / this.recent.sum : 0,
+
+            flowTradeRate: rate,
+            flowTradeRateBaseline: this.tradeRateBaseline,
+            flowIntensityRatio: this.tradeRateBaseline > 0 ? rate / this.tradeRateBaseline : null,
+
+            flowRunLength: this.runSide * this.runLength,   // + taker buys, - taker sells
+            flowRunNotionalUsd: this.runNotional,
+        };
+    }
+}
@@ -1,277 +1,377 @@
 import WebSocket from "ws";
 import EventEmitter from "events";
+import exchange from "./exchange.js";
+import { recordLatency, forgetConnection } from "./feedLatency.js";
 
-const WS_URL = "wss://api.gateio.ws/ws/v4/";
-const MAX_TOPICS_PER_WS = 180;
-const PING_INTERVAL_MS = 20_000;
 const RECONNECT_MS = 2_000;
+const STALE_CHECK_INTERVAL_MS = 1_000;
 
-function mapChannelToTopic(ch) {
-    const at = ch.indexOf("@");
+let connSeq = 0;
 
-    if (at === -1) {
-        return null;
-    }
+function streamTypeOf(key) {
+    return key.slice(key.indexOf("@") + 1);
+}
 
-    const symbol = ch.slice(0, at).toUpperCase();
-    const stream = ch.slice(at + 1).toLowerCase();
-
-    switch (stream) {
-        case "aggtrade":
-            return {
-                channel: "spot.trades",
-                payload: [symbol]
-            };
-
-        case "ticker":
-            return {
-                channel: "spot.tickers",
-                payload: [symbol]
-            };
-
-        case "bookticker":
-            return {
-                channel: "spot.book_ticker",
-                payload: [symbol]
-            };
-
-        case "depth5@100ms":
-            return {
-                channel: "spot.order_book",
-                payload: [symbol, "5", "100ms"]
-            };
-
-        default: return null;
+export default class Websockets extends EventEmitter {
+    constructor(opts = {}) {
+        super();
+        this.adapter = opts.adapter ?? exchange;
+        this.reconnectMs = opts.reconnectIntervalMs ?? RECONNECT_MS;
+        this.logTag = `[${this.adapter.id}WS]`;
+        this.staleThresholds = opts.staleThresholds ?? {};
+        this.connections = [];          // { ws, topics: Map<key, topic>, retired }
+        this.topicOwners = new Map();   // topic key -> connection
+        this.topicSeenAt = new Map();   // topic key -> last message (or (re)subscribe) time
+        this.watchdogTimer = null;
     }
-}
 
-function translateGate(msg) {
-    const out = [];
+    connect(binanceStyleChannels = []) {
+        this.disconnect();
+
+        const added = this.subscribe(binanceStyleChannels);
+
+        if (!added) {
+            console.warn(`${this.logTag} No valid topics – nothing to subscribe.`);
+            return;
+        }
+
+        console.log(`${this.logTag} Spawned ${this.connections.length} connection(s) for ${added} topics.`);
 
-    if (!msg || msg.event !== "update" || !msg.channel) {
-        return out;
+        if (Object.keys(this.staleThresholds).length) {
+            this.watchdogTimer = setInterval(() => this._checkStaleTopics(), STALE_CHECK_INTERVAL_MS);
+        }
     }
 
-    if (msg.channel === "spot.trades") {
-        const payload = msg.result;
+    /**
+     * Add topics to the live connections, filling spare capacity on the
+     * existing sockets before spawning new ones. Returns the number of
+     * topics actually added.
+     */
+    subscribe(binanceStyleChannels = []) {
+        const topics = binanceStyleChannels
+            .map(this.adapter.mapChannelToTopic)
+            .filter(t => t && !this.topicOwners.has(t.key));
 
-        if (!payload) {
-            return out;
+        if (!topics.length) {
+            return 0;
         }
 
-        const trades = Array.isArray(payload) ? payload : [payload];
+        const maxTopics = this.adapter.maxTopicsPerWs;
+        const now = Date.now();
+        let pending = topics;
+
+        for (const t of topics) {
+            this.topicSeenAt.set(t.key, now);
+        }
 
-        for (const t of trades) {
-            const pair = t.currency_pair || t.s;
+        for (const conn of this.connections) {
+            const room = maxTopics - conn.topics.size;
 
-            if (!pair) {
+            if (room <= 0 || !pending.length) {
                 continue;
             }
 
-            const symbolLc = pair.toLowerCase();
+            const chunk = pending.slice(0, room);
+            pending = pending.slice(room);
 
-            out.push({
-                stream: `${symbolLc}@aggTrade`,
-                data: {
-                    p: t.price,
-                    q: t.amount,
-                    E: Number(t.create_time_ms || t.create_time * 1000),
-                    m: t.side === "sell"
-                }
-            });
+            for (const t of chunk) {
+                conn.topics.set(t.key, t);
+                this.topicOwners.set(t.key, conn);
+            }
+
+            this._send(conn, this.adapter.buildSubscribeFrames(chunk));
         }
-    }
 
-    else if (msg.channel === "spot.tickers") {
-        const d = msg.result;
+        for (let i = 0; i < pending.length; i += maxTopics) {
+            const conn = { id: ++connSeq, ws: null, topics: new Map(), retired: false };
+
+            for (const t of pending.slice(i, i + maxTopics)) {
+                conn.topics.set(t.key, t);
+                this.topicOwners.set(t.key, conn);
+            }
 
-        if (!d) {
-            return out;
+            this.connections.push(conn);
+            this._spawnSocket(conn);
         }
 
-        const pair = d.currency_pair || d.s;
+        return topics.length;
+    }
 
-        if (!pair) {
-            return out;
-        }
+    /**
+     * Drop topics from whichever connection carries them. Connections left
+     * without topics are closed for good.
+     */
+    unsubscribe(binanceStyleChannels = []) {
+        const byConn = new Map();
 
-        const symbolLc = pair.toLowerCase();
+        for (const key of this._keysOf(binanceStyleChannels)) {
+            const conn = this.topicOwners.get(key);
 
-        out.push({
-            stream: `${symbolLc}@ticker`,
-            data: {
-                q: d.quote_volume,
-                P: (parseFloat(d.change_percentage) || 0).toFixed(4),
-                h: d.high_24h,
-                l: d.low_24h,
-                c: d.last
+            if (!conn) {
+                continue;
             }
-        });
-    }
 
-    else if (msg.channel === "spot.book_ticker") {
-        const d = msg.result;
+            const topic = conn.topics.get(key);
+            conn.topics.delete(key);
+            this.topicOwners.delete(key);
+            this.topicSeenAt.delete(key);
+
+            if (!byConn.has(conn)) {
+                byConn.set(conn, []);
+            }
 
-        if (!d) {
-            return out;
+            byConn.get(conn).push(topic);
         }
 
-        const pair = d.currency_pair || d.s;
+        for (const [conn, topics] of byConn) {
+            if (conn.topics.size === 0) {
+                this._retire(conn);
+            } else {
+                this._send(conn, this.adapter.buildUnsubscribeFrames(topics));
+            }
+        }
 
-        if (!pair) {
-            return out;
+        if (byConn.size) {
+            this._rebalance();
         }
 
-        const symbolLc = pair.toLowerCase();
+        return [...byConn.values()].reduce((n, t) => n + t.length, 0);
+    }
 
-        out.push({
-            stream: `${symbolLc}@bookTicker`,
-            data: {
-                b: d.highest_bid,
-                a: d.lowest_ask
-            }
-        });
+    /**
+     * Unsubscribe and subscribe again on the same connection, for topics
+     * that went quiet while the socket itself stayed up.
+     */
+    resubscribe(binanceStyleChannels = []) {
+        this._resubscribeKeys(this._keysOf(binanceStyleChannels));
     }
 
-    else if (msg.channel === "spot.order_book") {
-        const d = msg.result;
+    _resubscribeKeys(keys) {
+        const byConn = new Map();
+        const now = Date.now();
 
-        if (!d) {
-            return out;
-        }
+        for (const key of keys) {
+            const conn = this.topicOwners.get(key);
 
-        const pair = d.currency_pair || d.s;
+            if (!conn) {
+                continue;
+            }
+
+            if (!byConn.has(conn)) {
+                byConn.set(conn, []);
+            }
 
-        if (!pair) {
-            return out;
+            byConn.get(conn).push(conn.topics.get(key));
+            this.topicSeenAt.set(key, now);
         }
 
-        const symbolLc = pair.toLowerCase();
+        for (const [conn, topics] of byConn) {
+            this._send(conn, this.adapter.buildUnsubscribeFrames(topics));
+            this._send(conn, this.adapter.buildSubscribeFrames(topics));
+        }
+    }
 
-        out.push({
-            stream: `${symbolLc}@depth5@100ms`,
-            data: {
-                bids: (d.bids || []).slice(0, 5),
-                asks: (d.asks || []).slice(0, 5)
-            }
-        });
+    /**
+     * While the topics fit into fewer sockets, move the topics of the
+     * sparsest connection into the spare room of the others and close it,
+     * so universe rotations do not leave nearly empty connections behind.
+     */
+    _rebalance() {
+        const maxTopics = this.adapter.maxTopicsPerWs;
+        const total = this.connections.reduce((n, c) => n + c.topics.size, 0);
+
+        while (this.connections.length > Math.ceil(total / maxTopics)) {
+            const [sparsest, ...others] = [...this.connections].sort((a, b) => a.topics.size - b.topics.size);
+            const now = Date.now();
+            let pending = [...sparsest.topics.values()];
+
+            console.log(`${this.logTag} Moving ${pending.length} topic(s) off a sparse connection.`);
+
+            for (const conn of others) {
+                const room = maxTopics - conn.topics.size;
 
-        if (d.bids?.length && d.asks?.length) {
-            out.push({
-                stream: `${symbolLc}@bookTicker`,
-                data: {
-                    b: d.bids[0][0],
-                    a: d.asks[0][0]
+                if (room <= 0 || !pending.length) {
+                    continue;
                 }
-            });
+
+                const chunk = pending.slice(0, room);
+                pending = pending.slice(room);
+
+                for (const t of chunk) {
+                    conn.topics.set(t.key, t);
+                    this.topicOwners.set(t.key, conn);
+                    this.topicSeenAt.set(t.key, now);
+                }
+
+                this._send(conn, this.adapter.buildSubscribeFrames(chunk));
+            }
+
+            // Its topics have new owners now; retiring must not drop them.
+            sparsest.topics.clear();
+            this._retire(sparsest);
         }
     }
 
-    return out;
-}
-
-export default class Websockets extends EventEmitter {
-    constructor(opts = {}) {
-        super();
-        this.reconnectMs = opts.reconnectIntervalMs ?? RECONNECT_MS;
-        this.wsArr = [];
-        this.pingTimers = new Map();
+    // Topics are owned by their adapter key, which need not be the channel.
+    _keysOf(binanceStyleChannels) {
+        return binanceStyleChannels
+            .map(this.adapter.mapChannelToTopic)
+            .filter(Boolean)
+            .map(t => t.key);
     }
 
-    connect(binanceStyleChannels = []) {
-        this.disconnect();
+    _checkStaleTopics() {
+        const now = Date.now();
+        const stale = [];
 
-        const topics = binanceStyleChannels.map(mapChannelToTopic).filter(Boolean);
+        for (const [key, conn] of this.topicOwners) {
+            const threshold = this.staleThresholds[streamTypeOf(key)];
 
-        if (!topics.length) {
-            console.warn("[GateWS] No valid topics – nothing to subscribe.");
-            return;
+            // Sockets that are down are handled by the reconnect path.
+            if (!threshold || conn.ws?.readyState !== WebSocket.OPEN) {
+                continue;
+            }
+
+            if (now - (this.topicSeenAt.get(key) ?? 0) > threshold) {
+                stale.push(key);
+            }
         }
 
-        for (let i = 0; i < topics.length; i += MAX_TOPICS_PER_WS) {
-            const chunk = topics.slice(i, i + MAX_TOPICS_PER_WS);
-            this._spawnSocket(chunk);
+        if (stale.length) {
+            this._resubscribeKeys(stale);
+            this.emit("stale", stale);
+        }
+    }
+
+    _send(conn, frames) {
+        // Sockets still connecting pick up their full topic set on "open".
+        if (conn.ws?.readyState !== WebSocket.OPEN) {
+            return;
         }
 
-        console.log(`[GateWS] Spawned ${Math.ceil(topics.length / MAX_TOPICS_PER_WS)} connection(s) for ${topics.length} topics.`);
+        for (const frame of frames) {
+            conn.ws.send(frame);
+        }
     }
 
-    _spawnSocket(topicChunk) {
-        const ws = new WebSocket(WS_URL);
-        this.wsArr.push(ws);
+    _spawnSocket(conn) {
+        const ws = new WebSocket(this.adapter.wsUrl);
+        conn.ws = ws;
 
         ws.on("open", () => {
-            console.log("[GateWS] open; subscribing", topicChunk.length, "topics");
-
-            for (let i = 0; i < topicChunk.length; i += 10) {
-                const slice = topicChunk.slice(i, i + 10);
-
-                for (const t of slice) {
-                    ws.send(JSON.stringify({
-                        time: Math.floor(Date.now() / 1000),
-                        channel: t.channel,
-                        event: "subscribe",
-                        payload: t.payload
-                    }));
-                }
+            console.log(this.logTag, "open; subscribing", conn.topics.size, "topics");
+
+            const now = Date.now();
+
+            for (const key of conn.topics.keys()) {
+                this.topicSeenAt.set(key, now);
             }
 
-            const pingId = setInterval(() => {
-                if (ws.readyState === WebSocket.OPEN) {
-                    ws.send(JSON.stringify({ time: Math.floor(Date.now() / 1000), channel: "spot.ping" }));
-                }
-            }, PING_INTERVAL_MS);
+            this._send(conn, this.adapter.buildSubscribeFrames([...conn.topics.values()]));
+
+            if (this.adapter.pingIntervalMs > 0) {
+                conn.pingTimer = setInterval(() => {
+                    const frame = this.adapter.buildPingFrame();
 
-            this.pingTimers.set(ws, pingId);
-                this.emit("open");
-            });
+                    if (frame && ws.readyState === WebSocket.OPEN) {
+                        ws.send(frame);
+                    }
+                }, this.adapter.pingIntervalMs);
+            }
 
-            ws.on("message", raw => {
-                let msg;
+            this.emit("open");
+        });
 
-                try {
-                    msg = JSON.parse(raw.toString());
-                } catch (err) {
-                    this.emit("error", err);
-                    return;
-                }
+        ws.on("message", raw => {
+            const receivedAt = Date.now();
+            const text = raw.toString();
+            let msg;
 
-                if (msg.error) {
-                    console.error("[GateWS] error", msg.error);
+            try {
+                msg = JSON.parse(text);
+            } catch (err) {
+                this.emit("error", err);
+                return;
+            }
+
+            this.emit("frame", text, receivedAt);
+
+            if (msg.error) {
+                console.error(this.logTag, "error", msg.error);
+            }
+
+            for (const m of this.adapter.translate(msg)) {
+                // Freshness belongs to the topic that produced the message.
+                const topic = m.source ?? m.stream;
+
+                if (this.topicOwners.has(topic)) {
+                    this.topicSeenAt.set(topic, receivedAt);
                 }
 
-                for (const m of translateGate(msg)) {
-                    this.emit("message", JSON.stringify(m));
+                if (Number.isFinite(m.data.E)) {
+                    recordLatency(conn.id, m.stream.slice(0, m.stream.indexOf("@")).toUpperCase(), m.data.E, receivedAt);
                 }
-            });
 
-            ws.on("error", (err) => {
-                this.emit("error", err);
-            });
+                this.emit("message", JSON.stringify(m));
+            }
+        });
 
-            ws.on("close", () => {
-                clearInterval(this.pingTimers.get(ws));
-                this.pingTimers.delete(ws);
-                this.emit("close");
+        ws.on("error", (err) => {
+            this.emit("error", err);
+        });
+
+        ws.on("close", () => {
+            clearInterval(conn.pingTimer);
+            this.emit("close");
+
+            if (conn.retired) {
+                return;
+            }
 
-                setTimeout(() => {
-                    this._spawnSocket(topicChunk);
-                }, this.reconnectMs);
+            setTimeout(() => {
+                if (!conn.retired) {
+                    this._spawnSocket(conn);
+                }
+            }, this.reconnectMs);
         });
     }
 
-    disconnect() {
-        for (const ws of this.wsArr) {
-            clearInterval(this.pingTimers.get(ws));
+    _retire(conn) {
+        conn.retired = true;
+        clearInterval(conn.pingTimer);
+        forgetConnection(conn.id);
+
+        for (const key of conn.topics.keys()) {
+            this.topicOwners.delete(key);
+            this.topicSeenAt.delete(key);
+        }
+
+        conn.topics.clear();
+        this.connections = this.connections.filter(c => c !== conn);
+
+        const ws = conn.ws;
+
+        if (ws) {
             ws.removeAllListeners();
+            ws.on("error", () => {});
 
             if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
                 ws.close();
             }
         }
+    }
+
+    disconnect() {
+        clearInterval(this.watchdogTimer);
+        this.watchdogTimer = null;
 
-        this.wsArr = [];
-        this.pingTimers.clear();
+        for (const conn of [...this.connections]) {
+            this._retire(conn);
+        }
+
+        this.connections = [];
+        this.topicOwners.clear();
+        this.topicSeenAt.clear();
         this.emit("disconnected");
     }
-}
\ No newline at end of file
+}
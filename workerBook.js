@@ -1,89 +1,112 @@
 import mongo from "./mongo.js";
-import restRequest from "./restHelper.js";
+import exchange from "./exchange.js";
+import params from "./parameters.js";
 import { Worker } from "bullmq";
 import IORedis from "ioredis";
 import { ObjectId } from "mongodb";
+import { schemaVersion, admitDocument } from "./schema.js";
+import { loadBookFrames, summarizeDepth, frameAt, bookTrajectory } from "./bookCapture.js";
 
-const REST_ENDPOINT = "https://api.gateio.ws/api/v4/spot/order_book";
+const redis = new IORedis({
+    maxRetriesPerRequest: null
+});
 
 async function fetchDepth5(pair) {
-    const { data } = await restRequest({
-        method: "get",
-        url: REST_ENDPOINT,
-        params: {
-            currency_pair: pair,
-            limit: 5,
-            with_id: false
-        }
-    });
-
-    return data;
+    return exchange.fetchOrderBook(pair, 5);
 }
 
-new Worker("gate_order", async (job) => {
-    const { symbol, id, tOffset } = job.data;
-
-    let snapshot;
+// Documents from before a schema change keep their version until
+// migrate.js upgrades them, so the version is only set on insert.
+async function writeOrderbook(id, symbol, { fields = {}, snapshot = null }) {
+    const signalId = new ObjectId(id);
+    const version = schemaVersion("orderbooks");
+    const checked = { schemaVersion: version, signal_id: signalId, symbol, ...fields, ...(snapshot && { snapshots: [snapshot] }) };
 
-    try {
-        snapshot = await fetchDepth5(symbol);
-    } catch (err) {
-        console.error("[workerBook] REST error", err?.response?.status || "", err?.message);
+    if (!admitDocument("orderbooks", checked)) {
         return;
     }
 
-    // Calculate sums in token amounts
-    const bidSum = snapshot.bids.slice(0, 5).reduce((s, [, q]) => s + Number(q), 0);
-    const askSum = snapshot.asks.slice(0, 5).reduce((s, [, q]) => s + Number(q), 0);
-
-    // Get best bid and ask prices from the orderbook
-    const bestBid = snapshot.bids[0] ? Number(snapshot.bids[0][0]) : 0;
-    const bestAsk = snapshot.asks[0] ? Number(snapshot.asks[0][0]) : 0;
-
-    // Calculate midpoint price for normalization
-    const midPrice = (bestBid + bestAsk) / 2;
-
-    // Calculate USDT normalized values
-    const bidSumUsdt = bidSum * midPrice;
-    const askSumUsdt = askSum * midPrice;
-    const totalUsdt = bidSumUsdt + askSumUsdt;
-
-    // Calculate both raw and normalized imbalances
-    const imbalance = (bidSum - askSum) / (bidSum + askSum + 1e-8);
-    const imbalanceUsdt = (bidSumUsdt - askSumUsdt) / (totalUsdt + 1e-8);
-
-    // Update MongoDB with both raw and normalized values
     await mongo.orderbooks.updateOne({
-        signal_id: new ObjectId(id)
+        signal_id: signalId
     }, {
         $set: {
-            symbol
+            symbol,
+            ...fields
         },
-        $push: {
-            snapshots: {
-                t_offset_s: tOffset,
-                ts: Date.now(),
-                // Raw token amounts (backward compatibility)
-                bid_sum: bidSum,
-                ask_sum: askSum,
-                imbalance: imbalance,
-                // NEW: USDT normalized values
-                bid_sum_usdt: bidSumUsdt,
-                ask_sum_usdt: askSumUsdt,
-                total_liquidity_usdt: totalUsdt,
-                imbalance_usdt: imbalanceUsdt,
-                // Price reference
-                mid_price: midPrice,
-                best_bid: bestBid,
-                best_ask: bestAsk,
-                spread_bps: ((bestAsk - bestBid) / bestAsk) * 10000
-            }
-        }
+        $setOnInsert: {
+            schemaVersion: version
+        },
+        ...(snapshot && { $push: { snapshots: snapshot } })
     }, {
         upsert: true
     });
+}
+
+/**
+ * Book at `tOffset` seconds after the signal: from the captured stream
+ * when it has a frame there, else (stream gap, capture off, or a job
+ * from before capturing) from a REST request made now.
+ */
+async function takeSnapshot({ id, symbol, timestamp, tOffset }) {
+    const targetMs = Number.isFinite(timestamp) ? timestamp + tOffset * 1000 : null;
+    const streamed = targetMs !== null && tOffset * 1000 <= params.BOOK_CAPTURE_WINDOW_MS
+        ? frameAt(await loadBookFrames(redis, symbol, targetMs - params.BOOK_STREAM_MAX_GAP_MS, targetMs), targetMs)
+        : null;
+
+    let book;
+
+    if (streamed) {
+        book = { source: "stream", ts: streamed.t, bids: streamed.b, asks: streamed.a };
+    } else {
+        try {
+            const snapshot = await fetchDepth5(symbol);
+            book = { source: "rest", ts: Date.now(), bids: snapshot.bids, asks: snapshot.asks };
+        } catch (err) {
+            console.error("[workerBook] REST error", err?.response?.status || "", err?.message);
+            return;
+        }
+    }
+
+    await writeOrderbook(id, symbol, {
+        snapshot: {
+            t_offset_s: tOffset,
+            ts: book.ts,
+            source: book.source,
+            ...summarizeDepth(book.bids, book.asks)
+        }
+    });
+}
+
+async function writeTrajectory({ id, symbol, timestamp }) {
+    const windowMs = params.BOOK_CAPTURE_WINDOW_MS;
+    const stepMs = params.BOOK_TRAJECTORY_STEP_MS;
+    const frames = await loadBookFrames(redis, symbol, timestamp - params.BOOK_STREAM_MAX_GAP_MS, timestamp + windowMs);
+    const { points, gaps, coverage } = bookTrajectory(frames, timestamp, { windowMs, stepMs });
+
+    if (gaps.length) {
+        console.warn(`[workerBook] ${symbol} book stream had ${gaps.length} gap(s) after the signal (${(coverage * 100).toFixed(0)} % covered)`);
+    }
+
+    await writeOrderbook(id, symbol, {
+        fields: {
+            trajectory_window_ms: windowMs,
+            trajectory_step_ms: stepMs,
+            trajectory_frames: frames.filter(f => f.t >= timestamp).length,
+            trajectory_coverage: coverage,
+            trajectory_gaps: gaps,
+            trajectory: points
+        }
+    });
+}
+
+new Worker(`${exchange.id}_order`, async (job) => {
+    if (job.name === `${exchange.id}_book_trajectory`) {
+        await writeTrajectory(job.data);
+    } else {
+        await takeSnapshot(job.data);
+    }
 }, {
     connection: new IORedis({
         maxRetriesPerRequest: null
     })
-});
\ No newline at end of file
+});